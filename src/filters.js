@@ -0,0 +1,386 @@
+/*
+eslint no-param-reassign: ["error", { "props": true, "ignorePropertyModificationsFor": ["node"] }]
+*/
+
+/*
+sanitize-dom - Recursive sanitizer/filter for WHATWG DOMs.
+
+Copyright 2020 Michael Karl Franzl
+
+Permission is hereby granted, free of charge, to any person obtaining a copy of this software and
+associated documentation files (the "Software"), to deal in the Software without restriction,
+including without limitation the rights to use, copy, modify, merge, publish, distribute,
+sublicense, and/or sell copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in all copies or substantial
+portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING BUT
+NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND
+NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES
+OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN
+CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+*/
+
+import { checkAttributeValue } from './lib/attributes.js';
+import { sanitizeStyleSheet } from './lib/css.js';
+import { compileValueSpec } from './lib/options.js';
+import { compileRule } from './lib/matchers.js';
+
+/**
+ * Built-in {@link filter}s, for use with the option `filters_by_tag`.
+ *
+ * @example
+ * import { sanitizeHtml, filters } from 'sanitize-dom';
+ *
+ * sanitizeHtml(document, '<style>@import "x.css"; p { color: red; position: fixed }</style>', {
+ *   filters_by_tag: { '^STYLE$': [filters.styleSheet({ scope: '.message' })] },
+ *   allow_tags_deep: { '.*': '^STYLE$' },
+ * });
+ * // '<style>.message p { color: red }</style>'
+ */
+
+// Formatting properties which are commonly used in HTML email.
+const DEFAULT_STYLE_PROPERTIES = [
+  '^(background-)?color$',
+  '^font(-(family|size|style|weight))?$',
+  '^text-(align|decoration|indent|transform)$',
+  '^(letter-spacing|line-height|vertical-align|white-space)$',
+  '^(margin|padding)(-(top|right|bottom|left))?$',
+  '^border(-(top|right|bottom|left))?(-(width|style|color))?$',
+  '^border-(collapse|radius|spacing)$',
+  '^(min-|max-)?(width|height)$',
+  '^display$',
+];
+
+/**
+ * Creates a filter for STYLE elements which sanitizes their style sheet: Comments, `@import`,
+ * `@font-face` and all other at-rules except `@media`, `@supports` and `@keyframes` are removed,
+ * as are declarations which could load remote content (like `url()`) or run code, and
+ * declarations whose property is not allowed. Rules without declarations are removed, and the
+ * STYLE element is removed if no rules remain.
+ *
+ * The filter only rewrites the style sheet. The STYLE element must still be allowed by the
+ * options (the `safe` preset removes it).
+ *
+ * @param {Object} [options]
+ * @param {(Rule|Rule[]|Object|Map)} [options.allow_properties] The allowed CSS properties, in the
+ * same format as the values of the option `allow_styles_by_tag`: Rules for property names, or an
+ * object or Map from property name rules to value rules and validator functions. The default
+ * allows common formatting properties like `color`, `font-size`, `margin` and `border`.
+ * @param {?string} [options.scope=null] A selector like `.message`. If given, every selector of
+ * the style sheet is limited to descendants of the elements matching it, so that the style sheet
+ * can't affect the rest of the page. Leading `html`, `body` and `:root` selectors are replaced by
+ * it.
+ * @return {filter}
+ */
+function styleSheet(options = {}) {
+  const rulesByProperty = compileValueSpec(options.allow_properties || DEFAULT_STYLE_PROPERTIES);
+  const scope = options.scope || null;
+
+  return function styleSheetFilter(node) {
+    const acceptDeclaration = (property, value) => {
+      const rules = [];
+      rulesByProperty.forEach((values, key) => {
+        if (key.test(property)) values.forEach((rule) => rules.push({ key, value: rule }));
+      });
+      const accepted = checkAttributeValue(rules, value, { node, property });
+      return accepted ? accepted.value : null;
+    };
+
+    const sanitized = sanitizeStyleSheet(node.textContent, acceptDeclaration, scope);
+    if (!sanitized) return null;
+    if (sanitized !== node.textContent) node.textContent = sanitized;
+    return node;
+  };
+}
+
+// The text filters leave the text within these parents alone.
+const DEFAULT_SKIP_PARENTS = ['A', 'CODE', 'PRE'];
+
+// URLs starting with `http://`, `https://` or `www.`, and email addresses.
+const URL_PATTERN = '\\b(?:https?://|www\\.)[^\\s<>"]+';
+const EMAIL_PATTERN = '\\b[\\w.+-]+@[a-z0-9-]+(?:\\.[a-z0-9-]+)+\\b';
+
+// The character before a mention or hashtag must not be part of a word (like in `ann@example.com`).
+const MENTION_PATTERN = /(^|[^\p{L}\p{N}_@])@([\p{L}\p{N}_]+(?:[.-][\p{L}\p{N}_]+)*)/gu;
+const HASHTAG_PATTERN = /(^|[^\p{L}\p{N}_&#])#([\p{L}\p{N}_]*\p{L}[\p{L}\p{N}_]*)/gu;
+
+const SHORTCODE_PATTERN = /:([a-z0-9_+-]+):/gi;
+
+const isThenable = (value) => Boolean(value) && typeof value.then === 'function';
+
+// Sets `skip_filters: true` for the node, if it is a text node, or else for its text nodes.
+function skipFiltersOfText(node, nodePropertyMap) {
+  if (node.nodeType === 3) {
+    nodePropertyMap.set(node, { ...nodePropertyMap.get(node), skip_filters: true });
+    return;
+  }
+  for (let i = 0; i < node.childNodes.length; i += 1) {
+    skipFiltersOfText(node.childNodes[i], nodePropertyMap);
+  }
+}
+
+/**
+ * Splits a text node at the matches of a regular expression, and replaces each match with the
+ * result of `replace`. Use it to write {@link filter}s for `TEXT`.
+ *
+ * @param {DomNode} node A text node
+ * @param {RegExp} regex Its `g` flag is added if missing.
+ * @param {function(Array, Object): *} replace Called with each match (as returned by
+ * `RegExp.exec`) and `context`. It returns a string, a node, or an array of strings and nodes to
+ * replace the match with, or `null` to keep the match. It can also return a Promise of these.
+ * @param {Object} [context={}] The second argument of the filter. If it has a `nodePropertyMap`,
+ * the new text nodes between the replacing nodes are filtered again (with `skip_filters: false`),
+ * so that the following filters of the same tag can change them. The text nodes within the
+ * replacing nodes are not (with `skip_filters: true`), so that they are not replaced again, even
+ * if the replacing nodes are flattened.
+ * @return {(DomNode|DomNode[]|Promise)} The text node itself (with the replaced text, if only
+ * strings replaced the matches), or the new text nodes and replacing nodes in order. A Promise of
+ * these if `replace` returned a Promise.
+ * @example
+ * function markTodos(node, context) {
+ *   return filters.splitTextNode(node, /\bTODO\b/, ([text]) => {
+ *     const mark = context.doc.createElement('mark');
+ *     mark.textContent = text;
+ *     return mark;
+ *   }, context);
+ * }
+ */
+function splitTextNode(node, regex, replace, context = {}) {
+  const text = node.data;
+  const global = regex.global ? regex : new RegExp(regex.source, `${regex.flags}g`);
+  global.lastIndex = 0;
+
+  const matches = [];
+  for (let match = global.exec(text); match; match = global.exec(text)) {
+    matches.push(match);
+    if (match[0] === '') global.lastIndex += 1;
+  }
+  if (!matches.length) return node;
+
+  const split = (replacements) => {
+    const doc = node.ownerDocument;
+    const nodes = [];
+    let current = '';
+    const addText = () => {
+      if (!current) return;
+      const textNode = doc.createTextNode(current);
+      if (context.nodePropertyMap) context.nodePropertyMap.set(textNode, { skip_filters: false });
+      nodes.push(textNode);
+      current = '';
+    };
+
+    let position = 0;
+    matches.forEach((match, i) => {
+      current += text.slice(position, match.index);
+      position = match.index + match[0].length;
+      const replacement = replacements[i] === null || replacements[i] === undefined
+        ? match[0]
+        : replacements[i];
+      [].concat(replacement).forEach((part) => {
+        if (typeof part === 'string') {
+          current += part;
+        } else {
+          addText();
+          if (context.nodePropertyMap) skipFiltersOfText(part, context.nodePropertyMap);
+          nodes.push(part);
+        }
+      });
+    });
+    current += text.slice(position);
+
+    if (!nodes.length) { // Only text
+      if (current !== text) node.data = current;
+      return node;
+    }
+    addText();
+    return nodes;
+  };
+
+  const replacements = matches.map((match) => replace(match, context));
+  if (replacements.some(isThenable)) return Promise.all(replacements).then(split);
+  return split(replacements);
+}
+
+// True if the text node is within a parent matching the compiled `skip_parents` rule.
+function isSkipped(context, skipParents) {
+  return (context.parentNodenames || []).some((name, i) => (
+    skipParents.test(name, context.parents && context.parents[i])
+  ));
+}
+
+// Calls `href` with the name (and the context) and replaces the match with the prefix and a link
+// to the returned URL, or keeps the match if it returned null.
+function linkName(href, [matched, prefix, name], context) {
+  const link = (url) => {
+    if (url === null || url === undefined) return null;
+    const a = context.doc.createElement('a');
+    a.setAttribute('href', url);
+    a.textContent = matched.slice(prefix.length);
+    return [prefix, a];
+  };
+  const url = href(name, context);
+  return isThenable(url) ? url.then(link) : link(url);
+}
+
+// The URL without trailing punctuation and unbalanced closing brackets.
+function trimUrl(url) {
+  const count = (str, char) => str.split(char).length - 1;
+  let trimmed = url.replace(/[.,;:!?'"*]+$/, '');
+  while (/[)\]]$/.test(trimmed)) {
+    const close = trimmed.slice(-1);
+    if (count(trimmed, close === ')' ? '(' : '[') >= count(trimmed, close)) break;
+    trimmed = trimmed.slice(0, -1).replace(/[.,;:!?'"*]+$/, '');
+  }
+  return trimmed;
+}
+
+/**
+ * Creates a filter for `TEXT` which turns URLs (starting with `http://`, `https://` or `www.`)
+ * and email addresses into links. Trailing punctuation and unbalanced closing brackets are not
+ * part of the link. The A elements are sanitized like any other node, so they must be allowed by
+ * the options, and their URLs must pass the URL policy.
+ *
+ * @param {Object} [options]
+ * @param {boolean} [options.emails=true] Also link email addresses (with `mailto:` URLs).
+ * @param {Object.<string, string>} [options.attributes={}] Attributes for the new A elements,
+ * like `{ rel: 'nofollow' }`.
+ * @param {Rule} [options.skip_parents=['A', 'CODE', 'PRE']] Text within parents matching this
+ * rule is left alone.
+ * @return {filter}
+ * @example
+ * sanitizeHtml(document, '<p>See www.example.com.</p>', {
+ *   filters_by_tag: { TEXT: [filters.autolink()] },
+ *   allow_tags_deep: { '.*': ['P', 'A'] },
+ *   allow_attributes_by_tag: { A: ['href'] },
+ * });
+ * // '<p>See <a href="http://www.example.com">www.example.com</a>.</p>'
+ */
+function autolink(options = {}) {
+  const regex = new RegExp(
+    options.emails === false ? URL_PATTERN : `${URL_PATTERN}|${EMAIL_PATTERN}`,
+    'gi',
+  );
+  const attributes = options.attributes || {};
+  const skipParents = compileRule(options.skip_parents || DEFAULT_SKIP_PARENTS);
+
+  return function autolinkFilter(node, context) {
+    if (node.nodeType !== 3 || isSkipped(context, skipParents)) return node;
+
+    return splitTextNode(node, regex, ([matched]) => {
+      const text = trimUrl(matched);
+      if (!text) return null;
+      let href = text;
+      if (/^www\./i.test(text)) {
+        href = `http://${text}`;
+      } else if (!/^https?:/i.test(text)) {
+        href = `mailto:${text}`;
+      }
+
+      const a = context.doc.createElement('a');
+      a.setAttribute('href', href);
+      Object.keys(attributes).forEach((name) => a.setAttribute(name, attributes[name]));
+      a.textContent = text;
+      return [a, matched.slice(text.length)];
+    }, context);
+  };
+}
+
+/**
+ * Creates a filter for `TEXT` which turns mentions like `@ann` into links. The A elements must be
+ * allowed by the options.
+ *
+ * @param {Object} options
+ * @param {function(string, Object): ?string} options.href Called with the name (without `@`) and
+ * the filter context. Returns the URL of the link, or `null` to leave the mention alone. It can
+ * also return a Promise, with the async functions like {@link sanitizeHtmlAsync}.
+ * @param {Rule} [options.skip_parents=['A', 'CODE', 'PRE']] Text within parents matching this
+ * rule is left alone.
+ * @return {filter}
+ * @example
+ * filters_by_tag: {
+ *   TEXT: [filters.mentions({ href: (name) => (users.has(name) ? `/users/${name}` : null) })],
+ * }
+ */
+function mentions(options) {
+  if (!(options && typeof options.href === 'function')) {
+    throw new Error("filters.mentions needs the option 'href' (a function)");
+  }
+  const skipParents = compileRule(options.skip_parents || DEFAULT_SKIP_PARENTS);
+
+  return function mentionsFilter(node, context) {
+    if (node.nodeType !== 3 || isSkipped(context, skipParents)) return node;
+    return splitTextNode(node, MENTION_PATTERN, (match) => linkName(options.href, match, context),
+      context);
+  };
+}
+
+/**
+ * Creates a filter for `TEXT` which turns hashtags like `#news` into links. Hashtags must contain
+ * a letter, so that `#1` is not one. The A elements must be allowed by the options.
+ *
+ * @param {Object} options
+ * @param {function(string, Object): ?string} options.href Called with the tag (without `#`) and
+ * the filter context. Returns the URL of the link, or `null` to leave the hashtag alone. It can
+ * also return a Promise, with the async functions like {@link sanitizeHtmlAsync}.
+ * @param {Rule} [options.skip_parents=['A', 'CODE', 'PRE']] Text within parents matching this
+ * rule is left alone.
+ * @return {filter}
+ * @example
+ * filters_by_tag: {
+ *   TEXT: [filters.hashtags({ href: (tag) => `/tags/${encodeURIComponent(tag.toLowerCase())}` })],
+ * }
+ */
+function hashtags(options) {
+  if (!(options && typeof options.href === 'function')) {
+    throw new Error("filters.hashtags needs the option 'href' (a function)");
+  }
+  const skipParents = compileRule(options.skip_parents || DEFAULT_SKIP_PARENTS);
+
+  return function hashtagsFilter(node, context) {
+    if (node.nodeType !== 3 || isSkipped(context, skipParents)) return node;
+    return splitTextNode(node, HASHTAG_PATTERN, (match) => linkName(options.href, match, context),
+      context);
+  };
+}
+
+/**
+ * Creates a filter for `TEXT` which replaces emoji shortcodes like `:smile:`.
+ *
+ * @param {Object} options
+ * @param {(Object.<string, string>|function(string, Object): ?(string|DomNode))} options.shortcodes
+ * An object from shortcodes (without colons) to their replacement text, or a function which is
+ * called with the shortcode and the filter context. It returns the replacing text or node (like
+ * an IMG element), or `null` to leave the shortcode alone.
+ * @param {Rule} [options.skip_parents=['A', 'CODE', 'PRE']] Text within parents matching this
+ * rule is left alone.
+ * @return {filter}
+ * @example
+ * filters_by_tag: { TEXT: [filters.emoji({ shortcodes: { smile: '😄', heart: '❤️' } })] }
+ */
+function emoji(options) {
+  const shortcodes = options && options.shortcodes;
+  if (!(shortcodes && (typeof shortcodes === 'object' || typeof shortcodes === 'function'))) {
+    throw new Error("filters.emoji needs the option 'shortcodes' (an object or a function)");
+  }
+  const lookup = typeof shortcodes === 'function'
+    ? shortcodes
+    : (name) => (Object.prototype.hasOwnProperty.call(shortcodes, name) ? shortcodes[name] : null);
+  const skipParents = compileRule(options.skip_parents || DEFAULT_SKIP_PARENTS);
+
+  return function emojiFilter(node, context) {
+    if (node.nodeType !== 3 || isSkipped(context, skipParents)) return node;
+    return splitTextNode(node, SHORTCODE_PATTERN, ([, name]) => lookup(name, context), context);
+  };
+}
+
+export {
+  styleSheet,
+  splitTextNode,
+  autolink,
+  mentions,
+  hashtags,
+  emoji,
+};
@@ -19,8 +19,17 @@ OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
 CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
 */
 
-import sanitizeDom from './sanitize-dom.js';
+import sanitizeDom, { sanitizeDomAsync } from './sanitize-dom.js';
 import childrenSnapshot from './lib/children-snapshot.js';
+import mergeOptions from './lib/merge-options.js';
+import violationsFromActions from './lib/violations.js';
+import precompileOptions from './lib/options.js';
+import validateOptions from './lib/validate-options.js';
+import { exact, selector } from './lib/matchers.js';
+import * as presets from './presets.js';
+import * as transforms from './transforms.js';
+import * as filters from './filters.js';
+import { createStreamSanitizer } from './stream.js';
 
 /**
  * Simple wrapper for {@link sanitizeDom}. Processes the node and its childNodes recursively.
@@ -29,9 +38,10 @@ import childrenSnapshot from './lib/children-snapshot.js';
  * @param {DomNode} node
  * @param {Object} [opts={}]
  * @param {WeakMap.<DomNode, Object>} [nodePropertyMap=new WeakMap()] Additional node properties
+ * @returns {(undefined|DryRunResult)} Only returns a value when `opts.dry_run` is true.
  */
 function sanitizeNode(doc, node, opts = {}, nodePropertyMap = new WeakMap()) {
-  sanitizeDom(doc, node, opts, false, nodePropertyMap);
+  return sanitizeDom(doc, node, opts, false, nodePropertyMap);
 }
 
 /**
@@ -42,9 +52,19 @@ function sanitizeNode(doc, node, opts = {}, nodePropertyMap = new WeakMap()) {
  * @param {DomNode} node
  * @param {Object} [opts={}]
  * @param {WeakMap.<DomNode, Object>} [nodePropertyMap=new WeakMap()] Additional node properties
+ * @returns {(undefined|DryRunResult)} Only returns a value when `opts.dry_run` is true.
  */
 function sanitizeChildNodes(doc, node, opts = {}, nodePropertyMap = new WeakMap()) {
-  sanitizeDom(doc, node, opts, true, nodePropertyMap);
+  return sanitizeDom(doc, node, opts, true, nodePropertyMap);
+}
+
+// Puts the HTML into a sandbox (no remote content will be fetched). Returns the node whose
+// children are to be sanitized.
+function parseIntoSandbox(doc, html, isDocument) {
+  const sandbox = doc.implementation.createHTMLDocument('');
+  const root = isDocument ? sandbox.documentElement : sandbox.body;
+  root.innerHTML = html;
+  return root;
 }
 
 /**
@@ -57,26 +77,200 @@ function sanitizeChildNodes(doc, node, opts = {}, nodePropertyMap = new WeakMap(
  * (beginning with the <html> tag). The context node name will be HTML. If `false`, then the
  * context node name will be BODY.
  * @param {WeakMap.<DomNode, Object>} [nodePropertyMap=new WeakMap()] Additional node properties
- * @returns {String} The processed HTML
+ * @returns {(String|DryRunResult)} The processed HTML, or a {@link DryRunResult} when
+ * `opts.dry_run` is true.
  */
 function sanitizeHtml(doc, html, opts = {}, isDocument = false, nodePropertyMap = new WeakMap()) {
-  const sandbox = doc.implementation.createHTMLDocument('');
+  const root = parseIntoSandbox(doc, html, isDocument);
+  const result = sanitizeChildNodes(doc, root, opts, nodePropertyMap);
+  if (opts.dry_run) return result;
+  return isDocument ? root.outerHTML : root.innerHTML;
+}
+
+/**
+ * Like {@link sanitizeNode}, but filters may return Promises, which are awaited (see
+ * {@link filter} and the option `filter_concurrency`).
+ *
+ * @param {DomDocument} doc
+ * @param {DomNode} node
+ * @param {Object} [opts={}]
+ * @param {WeakMap.<DomNode, Object>} [nodePropertyMap=new WeakMap()] Additional node properties
+ * @returns {Promise.<(undefined|DryRunResult)>}
+ */
+function sanitizeNodeAsync(doc, node, opts = {}, nodePropertyMap = new WeakMap()) {
+  return sanitizeDomAsync(doc, node, opts, false, nodePropertyMap);
+}
 
-  // Put the HTML into a sandbox (no remote content will be fetched).
-  if (isDocument) {
-    sandbox.documentElement.innerHTML = html;
-    sanitizeChildNodes(doc, sandbox.documentElement, opts, nodePropertyMap);
-    return sandbox.documentElement.outerHTML;
-  }
-
-  // isDocument is false
-  sandbox.body.innerHTML = html;
-  sanitizeChildNodes(doc, sandbox.body, opts, nodePropertyMap);
-  return sandbox.body.innerHTML;
+/**
+ * Like {@link sanitizeChildNodes}, but filters may return Promises, which are awaited (see
+ * {@link filter} and the option `filter_concurrency`).
+ *
+ * @param {DomDocument} doc
+ * @param {DomNode} node
+ * @param {Object} [opts={}]
+ * @param {WeakMap.<DomNode, Object>} [nodePropertyMap=new WeakMap()] Additional node properties
+ * @returns {Promise.<(undefined|DryRunResult)>}
+ */
+function sanitizeChildNodesAsync(doc, node, opts = {}, nodePropertyMap = new WeakMap()) {
+  return sanitizeDomAsync(doc, node, opts, true, nodePropertyMap);
 }
 
+/**
+ * Like {@link sanitizeHtml}, but filters may return Promises, which are awaited (see
+ * {@link filter} and the option `filter_concurrency`).
+ *
+ * @param {DomDocument} doc
+ * @param {string} html
+ * @param {Object} [opts={}]
+ * @param {Boolean} [isDocument=false] See {@link sanitizeHtml}
+ * @param {WeakMap.<DomNode, Object>} [nodePropertyMap=new WeakMap()] Additional node properties
+ * @returns {Promise.<(String|DryRunResult)>}
+ * @example
+ * const html = await sanitizeHtmlAsync(document, '<p>Hi @ann</p>', {
+ *   allow_tags_deep: { '.*': '^(P|A)$' },
+ *   filters_by_tag: { TEXT: [async (node) => linkMentions(node, await loadUsers())] },
+ *   filter_concurrency: 4,
+ * });
+ */
+async function sanitizeHtmlAsync(
+  doc,
+  html,
+  opts = {},
+  isDocument = false,
+  nodePropertyMap = new WeakMap(),
+) {
+  const root = parseIntoSandbox(doc, html, isDocument);
+  const result = await sanitizeChildNodesAsync(doc, root, opts, nodePropertyMap);
+  if (opts.dry_run) return result;
+  return isDocument ? root.outerHTML : root.innerHTML;
+}
+
+/**
+ * A reason why {@link validateHtml} rejected the HTML. Besides the properties listed here, it has
+ * all properties of the corresponding {@link ReportEntry}.
+ *
+ * @typedef {Object} Violation
+ * @property {string} type `tag` (the tag is not allowed), `nesting` (the tag is allowed, but not
+ * within this parent), `attribute` (the attribute or its value is not allowed), `class`, `style`
+ * (a declaration of the `style` attribute), `empty` (an empty node, with option `remove_empty`),
+ * `structure` (a node which must be wrapped, with option `normalize`) or `join` (with option
+ * `join_siblings`).
+ * @property {string} path The position of the node, e.g. `BODY > DIV:nth-child(2) > B`.
+ * @property {?Tagname} parent The tag name of the parent node
+ * @property {string} message A human-readable description
+ * @example
+ * {
+ *   type: 'nesting',
+ *   path: 'BODY > UL:nth-child(1) > P:nth-child(1)',
+ *   tagname: 'P',
+ *   parent: 'UL',
+ *   message: 'P is not allowed in UL (at BODY > UL:nth-child(1) > P:nth-child(1))',
+ *   // ...
+ * }
+ */
+
+/**
+ * Checks HTML against the options without sanitizing it. Use this to reject invalid input instead
+ * of silently fixing it. Filters are not run.
+ *
+ * @param {DomDocument} doc
+ * @param {string} html
+ * @param {Object} [opts={}] The same options as for {@link sanitizeHtml}
+ * @param {Boolean} [isDocument=false] See {@link sanitizeHtml}
+ * @returns {Violation[]} An empty array if the HTML is valid
+ */
+function validateHtml(doc, html, opts = {}, isDocument = false) {
+  const { actions } = sanitizeHtml(doc, html, { ...opts, dry_run: true }, isDocument);
+  return violationsFromActions(actions, opts);
+}
+
+/**
+ * A sanitizer with fixed options. See {@link createSanitizer}.
+ *
+ * @typedef {Object} Sanitizer
+ * @property {function(DomDocument, DomNode, WeakMap=)} sanitizeNode Like {@link sanitizeNode},
+ * without the `opts` argument
+ * @property {function(DomDocument, DomNode, WeakMap=)} sanitizeChildNodes Like
+ * {@link sanitizeChildNodes}, without the `opts` argument
+ * @property {function(DomDocument, string, Boolean=, WeakMap=)} sanitizeHtml Like
+ * {@link sanitizeHtml}, without the `opts` argument
+ * @property {function(DomDocument, string, Boolean=)} validateHtml Like {@link validateHtml},
+ * without the `opts` argument
+ * @property {function(DomDocument, DomNode, WeakMap=): Promise} sanitizeNodeAsync Like
+ * {@link sanitizeNodeAsync}, without the `opts` argument
+ * @property {function(DomDocument, DomNode, WeakMap=): Promise} sanitizeChildNodesAsync Like
+ * {@link sanitizeChildNodesAsync}, without the `opts` argument
+ * @property {function(DomDocument, string, Boolean=, WeakMap=): Promise} sanitizeHtmlAsync Like
+ * {@link sanitizeHtmlAsync}, without the `opts` argument
+ */
+
+/**
+ * Creates a sanitizer with fixed options. The options are compiled only once, and the rules
+ * matching each tag name are cached. Use this when sanitizing many nodes or strings with the same
+ * options.
+ *
+ * The options object is not modified. Later changes to it do not affect the sanitizer.
+ *
+ * @param {Object} [opts={}] See {@link sanitizeDom}
+ * @returns {Sanitizer}
+ * @example
+ * const sanitizer = createSanitizer(presets.comments);
+ * messages.forEach((message) => {
+ *   message.html = sanitizer.sanitizeHtml(document, message.html);
+ * });
+ */
+function createSanitizer(opts = {}) {
+  const compiled = precompileOptions(opts);
+  return {
+    sanitizeNode(doc, node, nodePropertyMap) {
+      return sanitizeNode(doc, node, compiled, nodePropertyMap);
+    },
+    sanitizeChildNodes(doc, node, nodePropertyMap) {
+      return sanitizeChildNodes(doc, node, compiled, nodePropertyMap);
+    },
+    sanitizeHtml(doc, html, isDocument, nodePropertyMap) {
+      return sanitizeHtml(doc, html, compiled, isDocument, nodePropertyMap);
+    },
+    validateHtml(doc, html, isDocument) {
+      return validateHtml(doc, html, compiled, isDocument);
+    },
+    sanitizeNodeAsync(doc, node, nodePropertyMap) {
+      return sanitizeNodeAsync(doc, node, compiled, nodePropertyMap);
+    },
+    sanitizeChildNodesAsync(doc, node, nodePropertyMap) {
+      return sanitizeChildNodesAsync(doc, node, compiled, nodePropertyMap);
+    },
+    sanitizeHtmlAsync(doc, html, isDocument, nodePropertyMap) {
+      return sanitizeHtmlAsync(doc, html, compiled, isDocument, nodePropertyMap);
+    },
+  };
+}
+
+/**
+ * A problem found by {@link validateOptions}. Invalid options are also rejected by all sanitizing
+ * functions, with an error listing the problems.
+ *
+ * @typedef {Object} OptionProblem
+ * @property {string} path The option, e.g. `allow_tags_deep`, or the offending part of it, e.g.
+ * `allow_tags_deep[".*"][1]`
+ * @property {string} message A human-readable description
+ */
+
 export {
   sanitizeNode,
   sanitizeChildNodes,
   sanitizeHtml,
+  sanitizeNodeAsync,
+  sanitizeChildNodesAsync,
+  sanitizeHtmlAsync,
+  validateHtml,
+  createSanitizer,
+  createStreamSanitizer,
+  presets,
+  transforms,
+  filters,
+  mergeOptions,
+  validateOptions,
+  exact,
+  selector,
 };
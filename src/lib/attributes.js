@@ -1,6 +1,18 @@
 import matchesAny from './matches-any.js';
+import findMatchingRule from './find-matching-rule.js';
+import getValuesForTagname, { getEntriesForTagname } from './get-values-for-tagname.js';
+import { parseDeclarations, serializeDeclarations, isUnsafeDeclaration } from './css.js';
+
+/**
+ * The filter functions in this file return a list of the changes they made. Each change is an
+ * object with the properties `action` (`'remove_class'`, `'remove_attribute'`,
+ * `'change_attribute'` or `'add_attribute'`), `option` (the option key which caused the change),
+ * `rule` (the matching rule, or `null` if the change was caused by a missing rule), and either
+ * `class`, or `attribute` and `value` (and `newValue` for changed and added attributes).
+ */
 
 function filterClassesForNode(node, allowClassesByTag) {
+  const changes = [];
   const classes = [];
   for (let i = 0; i < node.classList.length; i += 1) {
     const kls = node.classList[i];
@@ -9,29 +21,266 @@ function filterClassesForNode(node, allowClassesByTag) {
 
   for (let i = 0; i < classes.length; i += 1) {
     const classname = classes[i];
-    const keep = matchesAny(allowClassesByTag, node.nodeName, classname);
-    if (!keep) node.classList.remove(classname);
+    const keep = matchesAny(allowClassesByTag, node.nodeName, classname, node);
+    if (!keep) {
+      node.classList.remove(classname);
+      changes.push({
+        action: 'remove_class',
+        option: 'allow_classes_by_tag',
+        rule: null,
+        class: classname,
+      });
+    }
   }
 
   if (node.hasAttribute('class') && node.classList.length === 0) {
     node.attributes.removeNamedItem('class');
   }
+  return changes;
 }
 
-function filterAttributesForNode(node, allowAttributesByTag) {
+// True if the style attribute of the node is filtered by `allow_styles_by_tag`.
+function hasStyleRules(node, allowStylesByTag) {
+  return getValuesForTagname(allowStylesByTag, node.nodeName, node).length > 0;
+}
+
+function filterAttributesForNode(
+  node,
+  allowAttributesByTag,
+  removeAttributesByTag,
+  allowStylesByTag,
+) {
+  const changes = [];
+  const stylesFiltered = Boolean(allowStylesByTag) && hasStyleRules(node, allowStylesByTag);
   const { attributes } = node;
   const attributeCount = attributes.length;
   const attributeNames = [];
   for (let i = 0; i < attributeCount; i += 1) attributeNames.push(attributes[i].name);
 
   attributeNames.forEach((attname) => {
-    if (
+    const value = node.getAttribute(attname);
+
+    // remove_attributes_by_tag takes precedence over allow_attributes_by_tag
+    const removeRule = findMatchingRule(removeAttributesByTag, node.nodeName, attname, node);
+    if (removeRule) {
+      attributes.removeNamedItem(attname);
+      changes.push({
+        action: 'remove_attribute',
+        option: 'remove_attributes_by_tag',
+        rule: removeRule,
+        attribute: attname,
+        value,
+      });
+    } else if (
       attname !== 'class' // classes are filtered separately
-      && ! matchesAny(allowAttributesByTag, node.nodeName, attname)
+      && !(attname === 'style' && stylesFiltered) // like classes, when there are style rules
+      && !matchesAny(allowAttributesByTag, node.nodeName, attname, node)
     ) {
       attributes.removeNamedItem(attname);
+      changes.push({
+        action: 'remove_attribute',
+        option: 'allow_attributes_by_tag',
+        rule: null,
+        attribute: attname,
+        value,
+      });
+    }
+  });
+  return changes;
+}
+
+/**
+ * Runs the value rules of an attribute in order. A regular expression (or {@link exact} rule)
+ * accepts the value when it matches. A function accepts the value when it returns `true`, or
+ * accepts a rewritten value when it returns a string.
+ *
+ * @param {Array.<{key: RegExp, value: (RegExp|Matcher|Function)}>} rules The attribute name
+ * rules, each with one of their value rules
+ * @param {string} value
+ * @param {Object} context Passed as the second argument to validator functions
+ * @return {?{value: string, rule: Object}} The accepted (possibly rewritten) value and the rule
+ * which accepted it, or `null` if no rule accepted the value.
+ */
+function checkAttributeValue(rules, value, context) {
+  for (let i = 0; i < rules.length; i += 1) {
+    const rule = rules[i];
+    if (typeof rule.value === 'function') {
+      const result = rule.value(value, context);
+      if (result === true) return { value, rule };
+      if (typeof result === 'string') return { value: result, rule };
+    } else if (rule.value.test(value)) {
+      return { value, rule };
     }
+  }
+  return null;
+}
+
+/**
+ * Removes the declarations of the `style` attribute which are not allowed by the option
+ * `allow_styles_by_tag`, and declarations which could load remote content or run code. The
+ * attribute is removed if no declarations remain. Nodes without matching style rules are not
+ * affected.
+ *
+ * @param {DomNode} node
+ * @param {Map.<(RegExp|Matcher), Map.<(RegExp|Matcher), Array>>} allowStylesByTag
+ * @return {Object[]} The changes
+ */
+function filterStylesForNode(node, allowStylesByTag) {
+  const changes = [];
+  if (!node.hasAttribute('style') || !hasStyleRules(node, allowStylesByTag)) return changes;
+
+  const rulesByProperty = getValuesForTagname(allowStylesByTag, node.nodeName, node);
+  const original = node.getAttribute('style');
+  const { declarations, complete } = parseDeclarations(original);
+  const kept = [];
+  let changed = !complete; // invalid parts are dropped without a report
+
+  declarations.forEach((declaration) => {
+    const { property, value } = declaration;
+    const rules = [];
+    rulesByProperty.forEach((rulesMap) => {
+      rulesMap.forEach((values, key) => {
+        if (key.test(property)) values.forEach((rule) => rules.push({ key, value: rule }));
+      });
+    });
+
+    const accepted = isUnsafeDeclaration(property, value)
+      ? null
+      : checkAttributeValue(rules, value, { node, property });
+    if (accepted === null || isUnsafeDeclaration(property, accepted.value)) {
+      changed = true;
+      changes.push({
+        action: 'remove_style',
+        option: 'allow_styles_by_tag',
+        rule: null,
+        property,
+        value,
+      });
+    } else if (accepted.value !== value) {
+      changed = true;
+      kept.push({ ...declaration, value: accepted.value });
+      changes.push({
+        action: 'change_style',
+        option: 'allow_styles_by_tag',
+        rule: accepted.rule,
+        property,
+        value,
+        newValue: accepted.value,
+      });
+    } else {
+      kept.push(declaration);
+    }
+  });
+
+  if (kept.length === 0) {
+    node.removeAttribute('style');
+  } else if (changed) {
+    node.setAttribute('style', serializeDeclarations(kept));
+  }
+  return changes;
+}
+
+function filterAttributeValuesForNode(node, allowAttributeValuesByTag) {
+  const changes = [];
+  const rulesByAttributeName = getValuesForTagname(
+    allowAttributeValuesByTag,
+    node.nodeName,
+    node,
+  );
+  if (rulesByAttributeName.length === 0) return changes;
+
+  const { attributes } = node;
+  const attributeNames = [];
+  for (let i = 0; i < attributes.length; i += 1) attributeNames.push(attributes[i].name);
+
+  attributeNames.forEach((attname) => {
+    if (attname === 'class') return; // classes are filtered separately
+
+    const rules = [];
+    rulesByAttributeName.forEach((rulesMap) => {
+      rulesMap.forEach((values, key) => {
+        if (key.test(attname)) values.forEach((rule) => rules.push({ key, value: rule }));
+      });
+    });
+    if (rules.length === 0) return; // no value rules for this attribute
+
+    const value = node.getAttribute(attname);
+    const accepted = checkAttributeValue(rules, value, { node, attribute: attname });
+
+    if (accepted === null) {
+      node.removeAttribute(attname);
+      changes.push({
+        action: 'remove_attribute',
+        option: 'allow_attribute_values_by_tag',
+        rule: null,
+        attribute: attname,
+        value,
+      });
+    } else if (accepted.value !== value) {
+      node.setAttribute(attname, accepted.value);
+      changes.push({
+        action: 'change_attribute',
+        option: 'allow_attribute_values_by_tag',
+        rule: accepted.rule,
+        attribute: attname,
+        value,
+        newValue: accepted.value,
+      });
+    }
+  });
+  return changes;
+}
+
+/**
+ * Runs the transformers of the option `transform_attributes_by_tag` on the attributes of the node.
+ * The transformers of an attribute are run in order, each with the result of the previous one.
+ *
+ * @param {DomNode} node
+ * @param {Map.<(RegExp|Matcher), Map.<string, attributeTransformer[]>>} transformAttributesByTag
+ * @return {Object[]} The changes
+ */
+function transformAttributesForNode(node, transformAttributesByTag) {
+  const changes = [];
+  getEntriesForTagname(transformAttributesByTag, node.nodeName, node).forEach(({ key, value }) => {
+    value.forEach((transformers, attname) => {
+      const original = node.hasAttribute(attname) ? node.getAttribute(attname) : null;
+      let current = original;
+      let rule = null;
+      transformers.forEach((transformer) => {
+        const result = transformer(current, { node, attribute: attname });
+        if (result === undefined || result === current) return;
+        current = result === null ? null : String(result);
+        rule = { key, value: transformer };
+      });
+      if (current === original) return;
+
+      const change = {
+        option: 'transform_attributes_by_tag',
+        rule,
+        attribute: attname,
+        value: original,
+      };
+      if (current === null) {
+        node.removeAttribute(attname);
+        changes.push({ action: 'remove_attribute', ...change });
+      } else {
+        node.setAttribute(attname, current);
+        changes.push({
+          action: original === null ? 'add_attribute' : 'change_attribute',
+          ...change,
+          newValue: current,
+        });
+      }
+    });
   });
+  return changes;
 }
 
-export { filterAttributesForNode, filterClassesForNode };
+export {
+  checkAttributeValue,
+  filterAttributesForNode,
+  filterAttributeValuesForNode,
+  filterClassesForNode,
+  filterStylesForNode,
+  transformAttributesForNode,
+};
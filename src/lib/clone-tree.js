@@ -0,0 +1,31 @@
+function copyNodeProperties(original, copy, fromMap, toMap) {
+  const properties = fromMap.get(original);
+  if (properties) toMap.set(copy, { ...properties });
+  for (let i = 0; i < original.childNodes.length; i += 1) {
+    copyNodeProperties(original.childNodes[i], copy.childNodes[i], fromMap, toMap);
+  }
+}
+
+/**
+ * Deeply clones a node, together with the node properties of it and its descendants.
+ *
+ * If the node has a parent, the clone is put into a `DocumentFragment`, so that it can be
+ * flattened or replaced like the original.
+ *
+ * @param {DomDocument} doc
+ * @param {DomNode} node
+ * @param {WeakMap.<DomNode, Object>} nodePropertyMap
+ * @return {{node: DomNode, nodePropertyMap: WeakMap.<DomNode, Object>}} The clone, and a new map
+ * with copies of the node properties for the cloned nodes.
+ */
+function cloneTree(doc, node, nodePropertyMap) {
+  const clone = node.cloneNode(true);
+  if (node.parentNode) doc.createDocumentFragment().appendChild(clone);
+
+  const cloneNodePropertyMap = new WeakMap();
+  copyNodeProperties(node, clone, nodePropertyMap, cloneNodePropertyMap);
+
+  return { node: clone, nodePropertyMap: cloneNodePropertyMap };
+}
+
+export default cloneTree;
@@ -0,0 +1,221 @@
+// CSS values containing these can load remote content, run code, or hide such things behind
+// escapes and comments. They are never allowed.
+const UNSAFE_VALUE = /\\|\/\*|[<>]|@import|(url|image|image-set|cross-fade|element|expression)\s*\(|(java|vb)script:/i;
+
+// These properties attach behaviours (code) to elements in old browsers.
+const UNSAFE_PROPERTIES = ['behavior', '-moz-binding'];
+
+// Selectors and at-rule preludes containing these could end the STYLE element or hide something
+// behind escapes.
+const UNSAFE_PRELUDE = /[<\\]/;
+
+const PROPERTY_NAME = /^-?[a-z][a-z0-9-]*$/;
+
+// The leading `html`, `body` and `:root` compound selectors, which are replaced by the scope.
+const ROOT_SELECTORS = /^(?:(?:html|body|:root)(?=[\s>+~]|$)\s*)+/i;
+
+/**
+ * Splits CSS text at the top-level occurrences of a separator character, outside of strings,
+ * parentheses and brackets.
+ *
+ * @param {string} text
+ * @param {string} separator A single character
+ * @return {?string[]} The parts, or `null` if a string is not terminated.
+ */
+function splitTopLevel(text, separator) {
+  const parts = [];
+  let start = 0;
+  let depth = 0;
+  let quote = null;
+  for (let i = 0; i < text.length; i += 1) {
+    const char = text[i];
+    if (quote) {
+      if (char === '\\') {
+        i += 1;
+      } else if (char === quote) {
+        quote = null;
+      }
+    } else if (char === '"' || char === '\'') {
+      quote = char;
+    } else if (char === '(' || char === '[') {
+      depth += 1;
+    } else if ((char === ')' || char === ']') && depth > 0) {
+      depth -= 1;
+    } else if (char === separator && depth === 0) {
+      parts.push(text.slice(start, i));
+      start = i + 1;
+    }
+  }
+  if (quote) return null;
+  parts.push(text.slice(start));
+  return parts;
+}
+
+/**
+ * Parses a list of CSS declarations, like the value of a `style` attribute. Comments are removed.
+ *
+ * @param {string} text
+ * @return {{declarations: Object[], complete: boolean}} The declarations, each with the lower case
+ * `property`, the `value` without `!important`, and `important`. `complete` is false if comments
+ * or invalid parts (like declarations without a value, or everything after an unterminated string)
+ * were dropped.
+ */
+function parseDeclarations(text) {
+  const withoutComments = text.replace(/\/\*[\s\S]*?(\*\/|$)/g, ' ');
+  const parts = splitTopLevel(withoutComments, ';');
+  const declarations = [];
+  let complete = parts !== null && withoutComments === text;
+  (parts || []).forEach((part) => {
+    const colon = part.indexOf(':');
+    const property = part.slice(0, colon).trim().toLowerCase();
+    let value = part.slice(colon + 1).trim();
+    const important = /!\s*important$/i.test(value);
+    if (important) value = value.replace(/!\s*important$/i, '').trim();
+    if (colon !== -1 && property && value) {
+      declarations.push({ property, value, important });
+    } else if (part.trim()) {
+      complete = false;
+    }
+  });
+  return { declarations, complete };
+}
+
+/**
+ * @param {Array.<{property: string, value: string, important: boolean}>} declarations
+ * @return {string} The declarations as CSS text, e.g. `color: red; text-align: center`.
+ */
+function serializeDeclarations(declarations) {
+  return declarations
+    .map(({ property, value, important }) => `${property}: ${value}${important ? ' !important' : ''}`)
+    .join('; ');
+}
+
+/**
+ * @param {string} property A lower case property name
+ * @param {string} value
+ * @return {boolean} True if the declaration could load remote content or run code.
+ */
+function isUnsafeDeclaration(property, value) {
+  return UNSAFE_PROPERTIES.includes(property) || UNSAFE_VALUE.test(value);
+}
+
+/**
+ * Splits a style sheet without comments into its top-level statements.
+ *
+ * @param {string} text
+ * @return {Array.<{prelude: string, block: ?string}>} The statements, each with the text before
+ * its block (the selectors, or the at-rule with its parameters), and the text inside the braces.
+ * `block` is `null` for statements ending with a semicolon, like `@import`. Blocks which are not
+ * closed are dropped.
+ */
+function splitStatements(text) {
+  const statements = [];
+  let start = 0;
+  let blockStart = -1;
+  let depth = 0;
+  let quote = null;
+  for (let i = 0; i < text.length; i += 1) {
+    const char = text[i];
+    if (quote) {
+      if (char === '\\') {
+        i += 1;
+      } else if (char === quote) {
+        quote = null;
+      }
+    } else if (char === '"' || char === '\'') {
+      quote = char;
+    } else if (char === '{') {
+      if (depth === 0) blockStart = i;
+      depth += 1;
+    } else if (char === '}' && depth > 0) {
+      depth -= 1;
+      if (depth === 0) {
+        const block = text.slice(blockStart + 1, i);
+        statements.push({ prelude: text.slice(start, blockStart), block });
+        start = i + 1;
+      }
+    } else if (char === ';' && depth === 0) {
+      statements.push({ prelude: text.slice(start, i), block: null });
+      start = i + 1;
+    }
+  }
+  return statements;
+}
+
+/**
+ * @param {string} selector
+ * @param {string} scope
+ * @return {string} The selector limited to descendants of the scope. Leading `html`, `body` and
+ * `:root` selectors are replaced by the scope, e.g. `body > p` becomes `.scope > p`.
+ */
+function scopeSelector(selector, scope) {
+  const root = ROOT_SELECTORS.exec(selector);
+  const rest = root ? selector.slice(root[0].length) : selector;
+  return rest ? `${scope} ${rest}` : scope;
+}
+
+/**
+ * @param {string} block The declarations of a rule
+ * @param {function(string, string): ?string} acceptDeclaration
+ * @return {string} The accepted declarations
+ */
+function sanitizeDeclarations(block, acceptDeclaration) {
+  const kept = [];
+  parseDeclarations(block).declarations.forEach((declaration) => {
+    const { property, value } = declaration;
+    if (!PROPERTY_NAME.test(property) || isUnsafeDeclaration(property, value)) return;
+    const accepted = acceptDeclaration(property, value);
+    if (accepted !== null && !isUnsafeDeclaration(property, accepted)) {
+      kept.push({ ...declaration, value: accepted });
+    }
+  });
+  return serializeDeclarations(kept);
+}
+
+/**
+ * Sanitizes a style sheet, like the content of a STYLE element. Comments, `@import` and all other
+ * at-rules except `@media`, `@supports` and `@keyframes` are removed, as are declarations which
+ * could load remote content or run code, and declarations which are not accepted by the callback.
+ * Rules without declarations are removed.
+ *
+ * @param {string} text
+ * @param {function(string, string): ?string} acceptDeclaration Called with the lower case property
+ * name and the value of each declaration. Returns the (possibly rewritten) value to keep the
+ * declaration, or `null` to remove it.
+ * @param {?string} [scope=null] A selector like `.message`. If given, all selectors (except in
+ * `@keyframes`) are limited to descendants of the elements matching it.
+ * @return {string} The sanitized style sheet, one rule per line
+ */
+function sanitizeStyleSheet(text, acceptDeclaration, scope = null) {
+  const withoutComments = text.replace(/\/\*[\s\S]*?(\*\/|$)/g, ' ');
+  const rules = [];
+  splitStatements(withoutComments).forEach(({ prelude, block }) => {
+    const head = prelude.trim().replace(/\s+/g, ' ');
+    if (block === null || !head || UNSAFE_PRELUDE.test(head)) return;
+
+    if (/^@(media|supports)\b/i.test(head)) {
+      const inner = sanitizeStyleSheet(block, acceptDeclaration, scope);
+      if (inner) rules.push(`${head} {\n${inner}\n}`);
+    } else if (/^@(-webkit-)?keyframes\b/i.test(head)) {
+      const frames = sanitizeStyleSheet(block, acceptDeclaration);
+      if (frames) rules.push(`${head} {\n${frames}\n}`);
+    } else if (!head.startsWith('@')) {
+      const selectors = splitTopLevel(head, ',');
+      const declarations = sanitizeDeclarations(block, acceptDeclaration);
+      if (!selectors || !declarations) return;
+      const scoped = scope
+        ? selectors.map((selector) => scopeSelector(selector.trim(), scope))
+        : selectors.map((selector) => selector.trim());
+      rules.push(`${scoped.join(', ')} { ${declarations} }`);
+    }
+  });
+  return rules.join('\n');
+}
+
+export {
+  splitTopLevel,
+  parseDeclarations,
+  serializeDeclarations,
+  isUnsafeDeclaration,
+  sanitizeStyleSheet,
+};
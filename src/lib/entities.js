@@ -0,0 +1,165 @@
+// The named character references for U+00A0 to U+00FF, in code point order. All of them are also
+// recognized without the trailing semicolon (for compatibility with legacy content).
+const LATIN1_NAMES = [
+  'nbsp', 'iexcl', 'cent', 'pound', 'curren', 'yen', 'brvbar', 'sect', 'uml', 'copy', 'ordf',
+  'laquo', 'not', 'shy', 'reg', 'macr', 'deg', 'plusmn', 'sup2', 'sup3', 'acute', 'micro', 'para',
+  'middot', 'cedil', 'sup1', 'ordm', 'raquo', 'frac14', 'frac12', 'frac34', 'iquest', 'Agrave',
+  'Aacute', 'Acirc', 'Atilde', 'Auml', 'Aring', 'AElig', 'Ccedil', 'Egrave', 'Eacute', 'Ecirc',
+  'Euml', 'Igrave', 'Iacute', 'Icirc', 'Iuml', 'ETH', 'Ntilde', 'Ograve', 'Oacute', 'Ocirc',
+  'Otilde', 'Ouml', 'times', 'Oslash', 'Ugrave', 'Uacute', 'Ucirc', 'Uuml', 'Yacute', 'THORN',
+  'szlig', 'agrave', 'aacute', 'acirc', 'atilde', 'auml', 'aring', 'aelig', 'ccedil', 'egrave',
+  'eacute', 'ecirc', 'euml', 'igrave', 'iacute', 'icirc', 'iuml', 'eth', 'ntilde', 'ograve',
+  'oacute', 'ocirc', 'otilde', 'ouml', 'divide', 'oslash', 'ugrave', 'uacute', 'ucirc', 'uuml',
+  'yacute', 'thorn', 'yuml',
+];
+
+const LEGACY_ENTITIES = {
+  amp: '&',
+  AMP: '&',
+  lt: '<',
+  LT: '<',
+  gt: '>',
+  GT: '>',
+  quot: '"',
+  QUOT: '"',
+  COPY: '©',
+  REG: '®',
+};
+LATIN1_NAMES.forEach((name, index) => {
+  LEGACY_ENTITIES[name] = String.fromCharCode(0xA0 + index);
+});
+
+// A selection of the named character references which require the trailing semicolon. Unknown
+// references are left as they are.
+const ENTITIES = {
+  ...LEGACY_ENTITIES,
+  apos: '\'',
+  Tab: '\t',
+  NewLine: '\n',
+  excl: '!',
+  num: '#',
+  dollar: '$',
+  percnt: '%',
+  lpar: '(',
+  rpar: ')',
+  ast: '*',
+  plus: '+',
+  comma: ',',
+  period: '.',
+  sol: '/',
+  colon: ':',
+  semi: ';',
+  equals: '=',
+  quest: '?',
+  commat: '@',
+  lsqb: '[',
+  lbrack: '[',
+  bsol: '\\',
+  rsqb: ']',
+  rbrack: ']',
+  Hat: '^',
+  lowbar: '_',
+  grave: '`',
+  lcub: '{',
+  lbrace: '{',
+  verbar: '|',
+  vert: '|',
+  rcub: '}',
+  rbrace: '}',
+  OElig: 'Œ',
+  oelig: 'œ',
+  Scaron: 'Š',
+  scaron: 'š',
+  Yuml: 'Ÿ',
+  fnof: 'ƒ',
+  circ: 'ˆ',
+  tilde: '˜',
+  ensp: '\u2002',
+  emsp: '\u2003',
+  thinsp: '\u2009',
+  zwnj: '\u200C',
+  zwj: '\u200D',
+  lrm: '\u200E',
+  rlm: '\u200F',
+  ndash: '–',
+  mdash: '—',
+  lsquo: '‘',
+  rsquo: '’',
+  sbquo: '‚',
+  ldquo: '“',
+  rdquo: '”',
+  bdquo: '„',
+  dagger: '†',
+  Dagger: '‡',
+  bull: '•',
+  hellip: '…',
+  permil: '‰',
+  prime: '′',
+  Prime: '″',
+  lsaquo: '‹',
+  rsaquo: '›',
+  oline: '‾',
+  frasl: '⁄',
+  euro: '€',
+  trade: '™',
+  larr: '←',
+  uarr: '↑',
+  rarr: '→',
+  darr: '↓',
+  harr: '↔',
+  minus: '−',
+  spades: '♠',
+  clubs: '♣',
+  hearts: '♥',
+  diams: '♦',
+};
+
+function decodeNumeric(reference) {
+  const hex = reference[1] === 'x' || reference[1] === 'X';
+  const codePoint = parseInt(reference.slice(hex ? 2 : 1), hex ? 16 : 10);
+  if (
+    codePoint === 0
+    || codePoint > 0x10FFFF
+    || (codePoint >= 0xD800 && codePoint <= 0xDFFF) // surrogates
+  ) {
+    return '\uFFFD';
+  }
+  return String.fromCodePoint(codePoint);
+}
+
+/**
+ * Decodes the character references (like `&amp;`, `&#58;` or `&#x3A;`) in text or in an attribute
+ * value, roughly following the WHATWG tokenization rules. Only a selection of the named
+ * references is known; unknown ones are left as they are.
+ *
+ * @param {string} str
+ * @param {boolean} [inAttribute=false] In attribute values, legacy references without a semicolon
+ * are not decoded when they are followed by an alphanumeric character or `=` (as in
+ * `href="?a=1&copy=2"`).
+ * @return {string}
+ */
+function decodeEntities(str, inAttribute = false) {
+  if (str.indexOf('&') === -1) return str;
+
+  return str.replace(/&(#[0-9]+;?|#x[0-9a-f]+;?|[a-z][a-z0-9]*;?)/gi, (match, reference, offset) => {
+    if (reference[0] === '#') return decodeNumeric(reference);
+
+    const semicolon = reference.endsWith(';');
+    const name = semicolon ? reference.slice(0, -1) : reference;
+    if (semicolon && Object.prototype.hasOwnProperty.call(ENTITIES, name)) return ENTITIES[name];
+
+    // Find the longest legacy reference at the start of the name, like `not` in `&notit;`.
+    for (let end = name.length; end > 1; end -= 1) {
+      const prefix = name.slice(0, end);
+      if (Object.prototype.hasOwnProperty.call(LEGACY_ENTITIES, prefix)) {
+        const rest = reference.slice(end);
+        const next = rest || str.charAt(offset + match.length);
+        if (inAttribute && /^[a-z0-9=]/i.test(next)) return match;
+        return LEGACY_ENTITIES[prefix] + rest;
+      }
+    }
+    return match;
+  });
+}
+
+export default decodeEntities;
@@ -0,0 +1,26 @@
+import { getEntriesForTagname } from './get-values-for-tagname.js';
+
+/**
+ * Like {@link matchesAny}, but returns the rule which matched.
+ *
+ * @param {Map.<(RegExp|Matcher), (Array|Map).<(RegExp|Matcher)>>} rulesByTagname
+ * @param {string} tagname
+ * @param {string} value
+ * @param {DomNode} [node] The node with the tag name, for selector keys
+ * @param {DomNode} [valueNode] The node with the name `value`, for selector values
+ * @return {?{key: (RegExp|Matcher), value: (RegExp|Matcher)}} The first key matching `tagname`,
+ * together with the first of its values matching `value`, or `null` if nothing matches.
+ */
+function findMatchingRule(rulesByTagname, tagname, value, node, valueNode) {
+  const entries = getEntriesForTagname(rulesByTagname, tagname, node);
+  for (let i = 0; i < entries.length; i += 1) {
+    const { key, value: rules } = entries[i];
+    // The values of some options (like `rename_tags_deep`) are Maps whose keys are the rules.
+    const rule = (rules instanceof Map ? Array.from(rules.keys()) : rules)
+      .find((r) => r.test(value, valueNode));
+    if (rule) return { key, value: rule };
+  }
+  return null;
+}
+
+export default findMatchingRule;
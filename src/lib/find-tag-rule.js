@@ -0,0 +1,60 @@
+import findMatchingRule from './find-matching-rule.js';
+
+/**
+ * Finds the rule of the option `<kind>_tags_direct` or `<kind>_tags_deep` which matches a tag name
+ * in a given position. A direct rule takes precedence over a deep rule.
+ *
+ * @param {Object} opts Precompiled options
+ * @param {string} kind `rename`, `remove`, `flatten` or `allow`
+ * @param {Tagname[]} parentNodenames The tag names of the (not flattened) parents, innermost first
+ * @param {Tagname} tagname
+ * @param {DomNode[]} [parents] The parents, innermost first, for selector rules
+ * @param {DomNode} [node] The node with the tag name, for selector rules
+ * @return {?{option: string, rule: Object}} The option name and the matching rule, or `null`.
+ */
+function findTagRule(opts, kind, parentNodenames, tagname, parents = [], node) {
+  const directOption = `${kind}_tags_direct`;
+  const directRule = findMatchingRule(
+    opts[directOption],
+    parentNodenames[0],
+    tagname,
+    parents[0],
+    node,
+  );
+  if (directRule) return { option: directOption, rule: directRule };
+
+  const deepOption = `${kind}_tags_deep`;
+  for (let i = 0; i < parentNodenames.length; i += 1) {
+    const deepRule = findMatchingRule(
+      opts[deepOption],
+      parentNodenames[i],
+      tagname,
+      parents[i],
+      node,
+    );
+    if (deepRule) return { option: deepOption, rule: deepRule };
+  }
+  return null;
+}
+
+/**
+ * Finds the rule of the option `rename_tags_direct` or `rename_tags_deep` which matches a tag name
+ * in a given position (see {@link findTagRule}).
+ *
+ * @param {Object} opts Precompiled options
+ * @param {Tagname[]} parentNodenames The tag names of the (not flattened) parents, innermost first
+ * @param {Tagname} tagname
+ * @param {DomNode[]} [parents] The parents, innermost first, for selector rules
+ * @param {DomNode} [node] The node with the tag name, for selector rules
+ * @return {?{option: string, rule: Object, newTagname: Tagname}} The option name, the matching
+ * rule and the new tag name, or `null`.
+ */
+function findRenameRule(opts, parentNodenames, tagname, parents = [], node) {
+  const match = findTagRule(opts, 'rename', parentNodenames, tagname, parents, node);
+  if (!match) return null;
+  const { option, rule } = match;
+  return { option, rule, newTagname: opts[option].get(rule.key).get(rule.value) };
+}
+
+export { findRenameRule };
+export default findTagRule;
@@ -1,13 +1,66 @@
+// The lookups for each Map, by tag name. The Maps of precompiled options are never changed, so
+// the results can be cached. The number of cached tag names is limited, because tag names come
+// from untrusted input. Keys which need the node (like selectors) can't be cached; the entries
+// with such keys are cached as candidates and tested on each lookup.
+const cache = new WeakMap();
+const MAX_CACHED_TAGNAMES = 1000;
+
+function lookup(valuesByTagRule, tagname, node) {
+  let results = cache.get(valuesByTagRule);
+  if (!results) {
+    results = new Map();
+    cache.set(valuesByTagRule, results);
+  }
+
+  let result = results.get(tagname);
+  if (!result) {
+    const entries = [];
+    let values = [];
+    let usesNode = false;
+    valuesByTagRule.forEach((value, key) => {
+      if (key.usesNode) {
+        usesNode = true;
+        entries.push({ key, value });
+      } else if (key.test(tagname)) {
+        entries.push({ key, value });
+        values = values.concat(value);
+      }
+    });
+    result = { entries, values, usesNode };
+    if (results.size >= MAX_CACHED_TAGNAMES) results.clear();
+    results.set(tagname, result);
+  }
+
+  if (!result.usesNode) return result;
+
+  const entries = result.entries.filter(({ key }) => !key.usesNode || key.test(tagname, node));
+  return {
+    entries,
+    values: entries.reduce((values, { value }) => values.concat(value), []),
+  };
+}
+
+/**
+ * @param {Map} valuesByTagRule
+ * @param {string} tagname
+ * @param {DomNode} [node] The node with the tag name, for keys like selectors which need it
+ * @return {Array.<{key: (RegExp|Matcher), value: *}>} The entries whose key matches the tagname,
+ * in order. The returned array must not be modified.
+ */
+function getEntriesForTagname(valuesByTagRule, tagname, node) {
+  return lookup(valuesByTagRule, tagname, node).entries;
+}
+
 /**
- * @param {Map} valuesByTagRegex
+ * @param {Map} valuesByTagRule
  * @param {string} tagname
+ * @param {DomNode} [node] The node with the tag name, for keys like selectors which need it
+ * @return {Array} The concatenated values of all entries whose key matches the tagname. The
+ * returned array must not be modified.
 */
-function getValuesForTagname(valuesByTagRegex, tagname) {
-  let values = [];
-  valuesByTagRegex.forEach((value, key) => {
-    if (tagname.match(key)) values = values.concat(value);
-  });
-  return values;
+function getValuesForTagname(valuesByTagRule, tagname, node) {
+  return lookup(valuesByTagRule, tagname, node).values;
 }
 
+export { getEntriesForTagname };
 export default getValuesForTagname;
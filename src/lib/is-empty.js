@@ -0,0 +1,17 @@
+/**
+ * @param {DomNode} node
+ * @param {{whitespace: boolean, br: boolean}} settings The settings of the option `remove_empty`
+ * @return {boolean} True if the node has no child nodes. With `whitespace`, text nodes containing
+ * only whitespace (including no-break spaces) don't count, and with `br`, BR elements don't count.
+ */
+function isEmpty(node, settings) {
+  for (let i = 0; i < node.childNodes.length; i += 1) {
+    const child = node.childNodes[i];
+    const ignored = (settings.whitespace && child.nodeType === 3 && /^\s*$/.test(child.data))
+      || (settings.br && child.nodeType === 1 && child.nodeName === 'BR');
+    if (!ignored) return false;
+  }
+  return true;
+}
+
+export default isEmpty;
@@ -0,0 +1,13 @@
+import { isMatcher } from './matchers.js';
+
+/**
+ * @param {*} value
+ * @return {boolean} True if the value is an object literal (or created by `Object.create(null)`),
+ * as opposed to arrays, Maps, RegExps, functions, matchers (see {@link exact}) and primitive
+ * values.
+ */
+function isPlainObject(value) {
+  return Object.prototype.toString.call(value) === '[object Object]' && !isMatcher(value);
+}
+
+export default isPlainObject;
@@ -1,45 +1,73 @@
 import childrenSnapshot from './children-snapshot.js';
+import { getEntriesForTagname } from './get-values-for-tagname.js';
 
-function joinSiblings(parentNode, joinableTags) {
-  const siblings = childrenSnapshot(parentNode);
+const isWhitespace = (node) => node.nodeType === 3 && /^\s*$/.test(node.data);
 
-  let joined = false;
+// The value of the `class` attribute as a sorted set of class names, other values as they are.
+function attributeValue(node, name) {
+  const value = node.getAttribute(name);
+  if (name !== 'class') return value;
+  return Array.from(new Set(value.split(/\s+/).filter(Boolean))).sort().join(' ');
+}
 
-  for (let i = 0; i < siblings.length; i += 1) {
-    const node = siblings[i];
-    const neighbour1 = siblings[i + 1];
-    const neighbour2 = siblings[i + 2];
+/**
+ * @param {DomNode} a
+ * @param {DomNode} b
+ * @return {boolean} True if both elements have the same attributes with the same values, in any
+ * order. The classes are compared as sets.
+ */
+function haveSameAttributes(a, b) {
+  const names = a.getAttributeNames();
+  return names.length === b.getAttributeNames().length
+    && names.every((name) => b.hasAttribute(name)
+      && attributeValue(a, name) === attributeValue(b, name));
+}
 
-    if (!neighbour1) continue;
-    if (!joinableTags.includes(node.nodeName)) continue;
+/**
+ * Joins runs of same-tag siblings (possibly separated by whitespace) into the first element of
+ * each run, in a single pass over the child nodes.
+ *
+ * @param {DomNode} parentNode
+ * @param {Map.<(RegExp|Matcher), Object>} settingsByTagRule The precompiled option
+ * `join_siblings`. The settings of the first matching rule are used.
+ * @return {DomNode[]} The (now removed) nodes whose child nodes were moved into a sibling.
+ */
+function joinSiblings(parentNode, settingsByTagRule) {
+  const joinedNodes = [];
+  let target = null; // The element into which the following siblings are joined
+  let settings = null;
+  let whitespace = []; // The whitespace text nodes since the last element
 
-    if (node.nodeName === neighbour1.nodeName) {
-      const children = childrenSnapshot(neighbour1);
-      for (let j = 0; j < children.length; j += 1) node.appendChild(children[j]);
-      neighbour1.remove();
-      joined = true;
-      break;
+  childrenSnapshot(parentNode).forEach((node) => {
+    if (target && isWhitespace(node)) {
+      whitespace.push(node);
+      return;
+    }
 
-    } else if ( // Look ahead and join when there is just white space in between two nodes.
-      neighbour2
-      && node.nodeName === neighbour2.nodeName
-      && neighbour1.nodeType === 3
-      && neighbour1.textContent.match(/^\s+$/)
+    const entries = node.nodeType === 1
+      ? getEntriesForTagname(settingsByTagRule, node.nodeName, node)
+      : [];
+    if (
+      target
+      && entries.length
+      && node.nodeName === target.nodeName
+      && (!settings.same_attributes || haveSameAttributes(target, node))
     ) {
-      node.appendChild(neighbour1);
-
-      const children = childrenSnapshot(neighbour2);
-      for (let j = 0; j < children.length; j += 1) node.appendChild(children[j]);
-      neighbour2.remove();
-      joined = true;
-      break;
+      if (settings.separator) {
+        target.appendChild(node.ownerDocument.createElement(settings.separator));
+      }
+      whitespace.forEach((text) => target.appendChild(text));
+      childrenSnapshot(node).forEach((child) => target.appendChild(child));
+      node.remove();
+      joinedNodes.push(node);
+    } else {
+      target = entries.length ? node : null;
+      settings = entries.length ? entries[0].value : null;
     }
-  }
+    whitespace = [];
+  });
 
-  // Depending on the tags of the now joined child nodes of the first sibling, we still may
-  // end up with two identical tags next to each other. We have to re-start from beginning
-  // until nothing more is joinable.
-  if (joined) joinSiblings(parentNode, joinableTags);
+  return joinedNodes;
 }
 
 export default joinSiblings;
@@ -0,0 +1,68 @@
+// Marks the rule objects returned by `exact` and `selector`.
+const MATCHER = Symbol('matcher');
+
+/**
+ * Creates a rule which matches the given names exactly (ignoring case), unlike a {@link Regex}
+ * string, which also matches names containing it. An array of names in place of a single rule has
+ * the same meaning.
+ *
+ * @param {...(string|string[])} names Tag, attribute or class names
+ * @return {Matcher}
+ * @example
+ * allow_tags_deep: { '.*': exact('P', 'B') } // does not allow PRE or BR
+ */
+function exact(...names) {
+  const upper = [].concat(...names).map((name) => name.toUpperCase());
+  return {
+    [MATCHER]: true,
+    test: (name) => upper.includes(name.toUpperCase()),
+    toString: () => `exact(${upper.join(', ')})`,
+  };
+}
+
+/**
+ * Creates a rule for tag names which matches elements by a CSS selector, evaluated with
+ * `Element.matches`. It can be used wherever a rule matches a tag name. Because it needs the
+ * element, it never matches attribute or class names.
+ *
+ * @param {string} css A selector like `ul > li`, `a[target]` or `div.note`
+ * @return {Matcher}
+ * @example
+ * allow_tags_deep: { '.*': [exact('P'), selector('div.note')] }
+ */
+function selector(css) {
+  return {
+    [MATCHER]: true,
+    usesNode: true,
+    test: (name, node) => Boolean(node && node.nodeType === 1 && node.matches(css)),
+    toString: () => `selector(${css})`,
+  };
+}
+
+function isMatcher(rule) {
+  return Boolean(rule && rule[MATCHER]);
+}
+
+/**
+ * Compiles a rule of the options. Strings are compiled to case-insensitive regular expressions,
+ * arrays of names to {@link exact} matchers. RegExps are copied without their `g` and `y` flags, so
+ * that their `test` method has no state. Matchers are returned as they are.
+ *
+ * All compiled rules have a method `test(name, node)`.
+ *
+ * @param {(Regex|RegExp|string[]|Matcher)} rule
+ * @return {(RegExp|Matcher)}
+ */
+function compileRule(rule) {
+  if (typeof rule === 'string') return new RegExp(rule, 'i');
+  if (Array.isArray(rule)) return exact(rule);
+  if (rule instanceof RegExp) return new RegExp(rule.source, rule.flags.replace(/[gy]/g, ''));
+  return rule;
+}
+
+export {
+  exact,
+  selector,
+  isMatcher,
+  compileRule,
+};
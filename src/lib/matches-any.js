@@ -10,11 +10,12 @@ import getValuesForTagname from './get-values-for-tagname.js';
  * against the supplied value.
  * @param {string} tagname
  * @param {string} value
+ * @param {DomNode} [node] The node with the tag name, for selector keys
  * @return {boolean}
 */
-function matchesAny(regexesByTagname, tagname, value) {
-  return getValuesForTagname(regexesByTagname, tagname)
-    .some((regex) => value.match(regex) != null);
+function matchesAny(regexesByTagname, tagname, value, node) {
+  return getValuesForTagname(regexesByTagname, tagname, node)
+    .some((rule) => rule.test(value));
 }
 
 export default matchesAny;
@@ -0,0 +1,80 @@
+// The sanitizer is written once for `sanitizeDom` and `sanitizeDomAsync`. Its functions return
+// their results directly, or a Promise for them when they had to wait for a Promise (which only
+// the async functions accept from filters). So without Promises, everything runs synchronously.
+
+const isThenable = (value) => Boolean(value) && typeof value.then === 'function';
+
+/**
+ * @param {*} value A value or a Promise
+ * @param {Function} fn
+ * @return {*} The result of calling `fn` with the value, or a Promise for the result of calling it
+ * with the resolved value.
+ */
+function then(value, fn) {
+  return isThenable(value) ? value.then(fn) : fn(value);
+}
+
+/**
+ * Calls `fn` for each item in order, like `Array.prototype.forEach`. When `fn` returns a Promise,
+ * the next item waits for it.
+ *
+ * @param {Array} items
+ * @param {Function} fn
+ * @param {number} [start=0] The index of the first item
+ * @return {(undefined|Promise)} A Promise if `fn` returned one, which resolves after the last item.
+ */
+function forEachInOrder(items, fn, start = 0) {
+  for (let i = start; i < items.length; i += 1) {
+    const result = fn(items[i], i);
+    if (isThenable(result)) return result.then(() => forEachInOrder(items, fn, i + 1));
+  }
+  return undefined;
+}
+
+/**
+ * Calls `fn` for each item, like `Array.prototype.map`, but for at most `limit` items at the same
+ * time when `fn` returns Promises.
+ *
+ * @param {Array} items
+ * @param {Function} fn
+ * @param {number} limit
+ * @return {Promise.<Array>} Resolves with the (resolved) results.
+ */
+function mapLimited(items, fn, limit) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = () => {
+    if (next >= items.length) return Promise.resolve();
+    const index = next;
+    next += 1;
+    return Promise.resolve(fn(items[index], index)).then((result) => {
+      results[index] = result;
+      return worker();
+    });
+  };
+  const workers = Array.from({ length: Math.min(limit, items.length) }, worker);
+  return Promise.all(workers).then(() => results);
+}
+
+/**
+ * @param {*} value
+ * @return {*} The value
+ * @throws {Error} If the value is a Promise, which can not be resolved synchronously. A rejection
+ * of the Promise is handled, since nothing else will wait for it.
+ */
+function syncValue(value) {
+  if (isThenable(value)) {
+    value.then(undefined, () => {});
+    throw new Error('A filter returned a Promise. Use the async functions (like '
+      + 'sanitizeHtmlAsync) for async filters.');
+  }
+  return value;
+}
+
+export {
+  isThenable,
+  then,
+  forEachInOrder,
+  mapLimited,
+  syncValue,
+};
@@ -0,0 +1,104 @@
+import isPlainObject from './is-plain-object.js';
+
+function uniqueConcat(a, b) {
+  const result = [].concat(a);
+  [].concat(b).forEach((value) => {
+    if (!result.includes(value)) result.push(value);
+  });
+  return result;
+}
+
+function clone(value) {
+  if (Array.isArray(value)) return value.map(clone);
+  if (isPlainObject(value)) {
+    const result = {};
+    Object.getOwnPropertyNames(value).forEach((key) => { result[key] = clone(value[key]); });
+    return result;
+  }
+  return value; // strings, numbers, booleans, functions, RegExps
+}
+
+// The values of these specs are replaced instead of concatenated.
+const REPLACED_VALUE_OPTIONS = ['rename_tags_direct', 'rename_tags_deep', 'join_siblings'];
+
+// These options are objects with settings, not specs.
+const SETTINGS_OPTIONS = ['normalize', 'remove_empty'];
+
+/**
+ * Merges two specs (like a {@link ParentChildSpec}) with the same shape. The values of properties
+ * which exist in both specs are concatenated, or merged recursively if they are specs themselves.
+ *
+ * @param {Object} a
+ * @param {Object} b
+ * @param {boolean} [replaceValues=false] If true, the values of `b` replace the values of `a`
+ * instead of being concatenated.
+ * @return {Object} A new spec
+ */
+function mergeSpecs(a, b, replaceValues = false) {
+  const result = clone(a);
+  Object.getOwnPropertyNames(b).forEach((key) => {
+    const valueA = result[key];
+    const valueB = b[key];
+    if (valueA === undefined) {
+      result[key] = clone(valueB);
+    } else if (isPlainObject(valueA) && isPlainObject(valueB)) {
+      result[key] = mergeSpecs(valueA, valueB, replaceValues);
+    } else if (replaceValues || isPlainObject(valueA) || isPlainObject(valueB)) {
+      result[key] = clone(valueB); // replaced, or incompatible shapes: the later one wins
+    } else {
+      result[key] = uniqueConcat(valueA, valueB);
+    }
+  });
+  return result;
+}
+
+/**
+ * Merges option objects from left to right into a new object. The arguments are not modified.
+ *
+ * * Specs (like {@link ParentChildSpec}s) are merged: When both have the same property (e.g. the
+ *   same tag {@link Regex}), their values are concatenated (or, for nested specs, merged
+ *   recursively).
+ *   The new tag names of `rename_tags_direct` and `rename_tags_deep`, and the settings of
+ *   `join_siblings`, are replaced instead.
+ * * The settings of `normalize` and `remove_empty` are merged, the later ones replacing the earlier
+ *   ones.
+ * * Arrays (like `join_siblings`) are concatenated.
+ * * All other values (like `remove_empty`) are replaced.
+ *
+ * Duplicate values are dropped when concatenating.
+ *
+ * @param {Object} base
+ * @param {...Object} overrides
+ * @return {Object} The merged options
+ * @example
+ * mergeOptions(
+ *   { allow_tags_deep: { '.*': ['^P$'] }, remove_empty: false },
+ *   { allow_tags_deep: { '.*': '^B$', P: '^I$' }, remove_empty: true },
+ * );
+ * // {
+ * //   allow_tags_deep: { '.*': ['^P$', '^B$'], P: '^I$' },
+ * //   remove_empty: true,
+ * // }
+ */
+function mergeOptions(base, ...overrides) {
+  const result = clone(base || {});
+  overrides.forEach((override) => {
+    if (!override) return;
+    Object.getOwnPropertyNames(override).forEach((key) => {
+      const valueA = result[key];
+      const valueB = override[key];
+      if (SETTINGS_OPTIONS.includes(key) && isPlainObject(valueA) && isPlainObject(valueB)) {
+        result[key] = { ...valueA, ...valueB };
+      } else if (isPlainObject(valueA) && isPlainObject(valueB)) {
+        result[key] = mergeSpecs(valueA, valueB, REPLACED_VALUE_OPTIONS.includes(key));
+      } else if (Array.isArray(valueA) && Array.isArray(valueB)) {
+        result[key] = uniqueConcat(valueA, valueB);
+      } else {
+        result[key] = clone(valueB);
+      }
+    });
+  });
+  return result;
+}
+
+export default mergeOptions;
@@ -0,0 +1,26 @@
+import Node from './node.js';
+
+class CharacterData extends Node {
+  constructor(ownerDocument, nodeType, nodeName, data) {
+    super(ownerDocument, nodeType, nodeName);
+    this.data = String(data);
+  }
+
+  get length() {
+    return this.data.length;
+  }
+
+  get textContent() {
+    return this.data;
+  }
+
+  set textContent(value) {
+    this.data = value == null ? '' : String(value);
+  }
+
+  appendData(data) {
+    this.data += data;
+  }
+}
+
+export default CharacterData;
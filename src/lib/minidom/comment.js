@@ -0,0 +1,14 @@
+import CharacterData from './character-data.js';
+import { COMMENT_NODE } from './node-types.js';
+
+class Comment extends CharacterData {
+  constructor(ownerDocument, data) {
+    super(ownerDocument, COMMENT_NODE, '#comment', data);
+  }
+
+  cloneShallow() {
+    return new Comment(this.ownerDocument, this.data);
+  }
+}
+
+export default Comment;
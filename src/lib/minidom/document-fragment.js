@@ -0,0 +1,14 @@
+import Node from './node.js';
+import { DOCUMENT_FRAGMENT_NODE } from './node-types.js';
+
+class DocumentFragment extends Node {
+  constructor(ownerDocument) {
+    super(ownerDocument, DOCUMENT_FRAGMENT_NODE, '#document-fragment');
+  }
+
+  cloneShallow() {
+    return new DocumentFragment(this.ownerDocument);
+  }
+}
+
+export default DocumentFragment;
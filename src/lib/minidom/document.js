@@ -0,0 +1,54 @@
+import Node from './node.js';
+import Element from './element.js';
+import Text from './text.js';
+import Comment from './comment.js';
+import DocumentFragment from './document-fragment.js';
+import DOMImplementation from './dom-implementation.js';
+import { ELEMENT_NODE, DOCUMENT_NODE } from './node-types.js';
+
+class Document extends Node {
+  constructor() {
+    super(null, DOCUMENT_NODE, '#document');
+    this.implementation = new DOMImplementation(this);
+  }
+
+  get documentElement() {
+    return this.childNodes.find((node) => node.nodeType === ELEMENT_NODE) || null;
+  }
+
+  get head() {
+    return this.childOfDocumentElement('HEAD');
+  }
+
+  get body() {
+    return this.childOfDocumentElement('BODY');
+  }
+
+  childOfDocumentElement(name) {
+    const html = this.documentElement;
+    return (html && html.children.find((node) => node.nodeName === name)) || null;
+  }
+
+  createElement(localName) {
+    return new Element(this, localName);
+  }
+
+  createTextNode(data) {
+    return new Text(this, data);
+  }
+
+  createComment(data) {
+    return new Comment(this, data);
+  }
+
+  createDocumentFragment() {
+    return new DocumentFragment(this);
+  }
+
+  // An empty document of the same class.
+  cloneShallow() {
+    return new this.constructor();
+  }
+}
+
+export default Document;
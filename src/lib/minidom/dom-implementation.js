@@ -0,0 +1,19 @@
+/**
+ * The `implementation` of a document. It creates new documents like its document.
+ */
+class DOMImplementation {
+  constructor(document) {
+    this.document = document;
+  }
+
+  createHTMLDocument(title) {
+    const doc = this.document.cloneNode();
+    const html = doc.appendChild(doc.createElement('html'));
+    const head = html.appendChild(doc.createElement('head'));
+    if (title !== undefined) head.appendChild(doc.createElement('title')).textContent = title;
+    html.appendChild(doc.createElement('body'));
+    return doc;
+  }
+}
+
+export default DOMImplementation;
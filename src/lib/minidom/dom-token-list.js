@@ -0,0 +1,52 @@
+/**
+ * The class names of an element. Unlike in the WHATWG DOM, this is a snapshot which does not
+ * change when the class attribute is changed directly.
+ */
+class DOMTokenList {
+  constructor(element) {
+    this.element = element;
+    const value = element.getAttribute('class') || '';
+    const tokens = [];
+    value.split(/[\t\n\f\r ]+/).forEach((token) => {
+      if (token && !tokens.includes(token)) tokens.push(token);
+    });
+    this.setTokens(tokens);
+  }
+
+  item(index) {
+    return index < this.length ? this[index] : null;
+  }
+
+  contains(token) {
+    return this.tokens().includes(token);
+  }
+
+  add(...tokens) {
+    const current = this.tokens();
+    tokens.forEach((token) => {
+      if (!current.includes(token)) current.push(token);
+    });
+    this.update(current);
+  }
+
+  remove(...tokens) {
+    this.update(this.tokens().filter((token) => !tokens.includes(token)));
+  }
+
+  tokens() {
+    return Array.prototype.slice.call(this, 0, this.length);
+  }
+
+  setTokens(tokens) {
+    for (let i = 0; i < this.length; i += 1) delete this[i];
+    tokens.forEach((token, index) => { this[index] = token; });
+    this.length = tokens.length;
+  }
+
+  update(tokens) {
+    this.setTokens(tokens);
+    this.element.setAttribute('class', tokens.join(' '));
+  }
+}
+
+export default DOMTokenList;
@@ -0,0 +1,125 @@
+import Node from './node.js';
+import NamedNodeMap from './named-node-map.js';
+import DOMTokenList from './dom-token-list.js';
+import serialize, { serializeChildren } from './serialize.js';
+import setInnerHtml from './parse.js';
+import matchesSelector from '../selectors.js';
+import { ELEMENT_NODE } from './node-types.js';
+
+class Element extends Node {
+  constructor(ownerDocument, localName) {
+    super(ownerDocument, ELEMENT_NODE, localName.toUpperCase());
+    this.attributes = new NamedNodeMap();
+  }
+
+  get tagName() {
+    return this.nodeName;
+  }
+
+  get localName() {
+    return this.nodeName.toLowerCase();
+  }
+
+  get classList() {
+    return new DOMTokenList(this);
+  }
+
+  get className() {
+    return this.getAttribute('class') || '';
+  }
+
+  set className(value) {
+    this.setAttribute('class', value);
+  }
+
+  get id() {
+    return this.getAttribute('id') || '';
+  }
+
+  set id(value) {
+    this.setAttribute('id', value);
+  }
+
+  get children() {
+    return this.childNodes.filter((node) => node.nodeType === ELEMENT_NODE);
+  }
+
+  get innerHTML() {
+    return serializeChildren(this);
+  }
+
+  set innerHTML(value) {
+    setInnerHtml(this, value == null ? '' : String(value));
+  }
+
+  get outerHTML() {
+    return serialize(this);
+  }
+
+  hasAttribute(name) {
+    return this.attributes.indexOf(name) !== -1;
+  }
+
+  getAttribute(name) {
+    const attr = this.attributes.getNamedItem(name);
+    return attr ? attr.value : null;
+  }
+
+  setAttribute(name, value) {
+    const attr = this.attributes.getNamedItem(name);
+    if (attr) {
+      attr.value = String(value);
+    } else {
+      this.attributes.setNamedItem({ name: name.toLowerCase(), value: String(value) });
+    }
+  }
+
+  removeAttribute(name) {
+    if (this.hasAttribute(name)) this.attributes.removeNamedItem(name);
+  }
+
+  getAttributeNames() {
+    const names = [];
+    for (let i = 0; i < this.attributes.length; i += 1) names.push(this.attributes[i].name);
+    return names;
+  }
+
+  getElementsByTagName(name) {
+    const nodeName = name.toUpperCase();
+    const elements = [];
+    const collect = (node) => node.children.forEach((child) => {
+      if (nodeName === '*' || child.nodeName === nodeName) elements.push(child);
+      collect(child);
+    });
+    collect(this);
+    return elements;
+  }
+
+  matches(selector) {
+    return matchesSelector(this, selector);
+  }
+
+  cloneShallow() {
+    const clone = new Element(this.ownerDocument, this.nodeName);
+    for (let i = 0; i < this.attributes.length; i += 1) {
+      const { name, value } = this.attributes[i];
+      clone.setAttribute(name, value);
+    }
+    return clone;
+  }
+}
+
+// Properties which reflect attributes of the same name. Unlike in the WHATWG DOM, they are
+// available on all elements, and URLs are not resolved.
+['alt', 'dir', 'href', 'lang', 'name', 'rel', 'src', 'target', 'title', 'type'].forEach((name) => {
+  Object.defineProperty(Element.prototype, name, {
+    get() {
+      return this.getAttribute(name) || '';
+    },
+    set(value) {
+      this.setAttribute(name, value);
+    },
+  });
+});
+
+export default Element;
@@ -0,0 +1,27 @@
+/**
+ * A minimal implementation of the parts of the WHATWG DOM which are used by sanitize-dom. It is
+ * not meant to be complete. There are no namespaces and no events: SVG and MathML elements are
+ * like HTML elements, except that raw text in them is escaped when serialized.
+ */
+
+import Node from './node.js';
+import Text from './text.js';
+import Comment from './comment.js';
+import Element from './element.js';
+import DocumentFragment from './document-fragment.js';
+import Document from './document.js';
+import DOMImplementation from './dom-implementation.js';
+import NamedNodeMap from './named-node-map.js';
+import DOMTokenList from './dom-token-list.js';
+
+export {
+  Node,
+  Text,
+  Comment,
+  Element,
+  DocumentFragment,
+  Document,
+  DOMImplementation,
+  NamedNodeMap,
+  DOMTokenList,
+};
@@ -0,0 +1,48 @@
+/**
+ * The attributes of an element. Like in the WHATWG DOM, the attributes can be accessed by index.
+ */
+class NamedNodeMap {
+  constructor() {
+    this.length = 0;
+  }
+
+  item(index) {
+    return index < this.length ? this[index] : null;
+  }
+
+  getNamedItem(name) {
+    const index = this.indexOf(name);
+    return index === -1 ? null : this[index];
+  }
+
+  setNamedItem(attr) {
+    const index = this.indexOf(attr.name);
+    if (index === -1) {
+      this[this.length] = attr;
+      this.length += 1;
+    } else {
+      this[index] = attr;
+    }
+  }
+
+  removeNamedItem(name) {
+    const index = this.indexOf(name);
+    if (index === -1) throw new Error(`No attribute named '${name}'`);
+
+    const attr = this[index];
+    for (let i = index; i < this.length - 1; i += 1) this[i] = this[i + 1];
+    delete this[this.length - 1];
+    this.length -= 1;
+    return attr;
+  }
+
+  indexOf(name) {
+    const lowerCaseName = name.toLowerCase();
+    for (let i = 0; i < this.length; i += 1) {
+      if (this[i].name === lowerCaseName) return i;
+    }
+    return -1;
+  }
+}
+
+export default NamedNodeMap;
@@ -0,0 +1,149 @@
+import {
+  ELEMENT_NODE,
+  TEXT_NODE,
+  COMMENT_NODE,
+  DOCUMENT_NODE,
+  DOCUMENT_FRAGMENT_NODE,
+} from './node-types.js';
+
+class Node {
+  constructor(ownerDocument, nodeType, nodeName) {
+    this.ownerDocument = ownerDocument;
+    this.nodeType = nodeType;
+    this.nodeName = nodeName;
+    this.parentNode = null;
+    this.childNodes = [];
+  }
+
+  get parentElement() {
+    const parent = this.parentNode;
+    return parent && parent.nodeType === ELEMENT_NODE ? parent : null;
+  }
+
+  get firstChild() {
+    return this.childNodes[0] || null;
+  }
+
+  get lastChild() {
+    return this.childNodes[this.childNodes.length - 1] || null;
+  }
+
+  get previousSibling() {
+    return this.sibling(-1);
+  }
+
+  get nextSibling() {
+    return this.sibling(1);
+  }
+
+  // The data of text and comment nodes, null for other nodes.
+  get nodeValue() {
+    return this.nodeType === TEXT_NODE || this.nodeType === COMMENT_NODE ? this.data : null;
+  }
+
+  set nodeValue(value) {
+    if (this.nodeType === TEXT_NODE || this.nodeType === COMMENT_NODE) this.data = String(value);
+  }
+
+  get textContent() {
+    if (this.nodeType === DOCUMENT_NODE) return null;
+    return this.childNodes
+      .filter((node) => node.nodeType === TEXT_NODE || node.nodeType === ELEMENT_NODE)
+      .map((node) => node.textContent)
+      .join('');
+  }
+
+  set textContent(value) {
+    this.childNodes.slice().forEach((node) => this.removeChild(node));
+    const data = value == null ? '' : String(value);
+    if (data) this.appendChild(this.ownerDocument.createTextNode(data));
+  }
+
+  sibling(offset) {
+    if (!this.parentNode) return null;
+    const siblings = this.parentNode.childNodes;
+    return siblings[siblings.indexOf(this) + offset] || null;
+  }
+
+  hasChildNodes() {
+    return this.childNodes.length > 0;
+  }
+
+  contains(node) {
+    for (let ancestor = node; ancestor; ancestor = ancestor.parentNode) {
+      if (ancestor === this) return true;
+    }
+    return false;
+  }
+
+  appendChild(node) {
+    return this.insertBefore(node, null);
+  }
+
+  insertBefore(node, child) {
+    if (child && child.parentNode !== this) {
+      throw new Error('The node before which the new node is to be inserted is not a child');
+    }
+    if (node.contains(this)) throw new Error('The new child node contains the parent');
+
+    const reference = child === node ? node.nextSibling : child;
+    const nodes = node.nodeType === DOCUMENT_FRAGMENT_NODE ? node.childNodes.slice() : [node];
+    for (let i = 0; i < nodes.length; i += 1) {
+      const newChild = nodes[i];
+      if (newChild.parentNode) newChild.parentNode.removeChild(newChild);
+      newChild.parentNode = this;
+    }
+
+    const index = reference ? this.childNodes.indexOf(reference) : this.childNodes.length;
+    this.childNodes.splice(index, 0, ...nodes);
+    return node;
+  }
+
+  removeChild(child) {
+    const index = this.childNodes.indexOf(child);
+    if (index === -1) throw new Error('The node to be removed is not a child of this node');
+    this.childNodes.splice(index, 1);
+    const removed = child;
+    removed.parentNode = null;
+    return removed;
+  }
+
+  replaceChild(node, child) {
+    if (child.parentNode !== this) throw new Error('The node to be replaced is not a child');
+    if (node !== child) {
+      const reference = child.nextSibling;
+      this.removeChild(child);
+      this.insertBefore(node, reference);
+    }
+    return child;
+  }
+
+  remove() {
+    if (this.parentNode) this.parentNode.removeChild(this);
+  }
+
+  // Removes empty text nodes, and joins adjacent text nodes.
+  normalize() {
+    this.childNodes.slice().forEach((node) => {
+      if (node.nodeType !== TEXT_NODE) {
+        node.normalize();
+      } else if (node.data === '') {
+        this.removeChild(node);
+      } else {
+        const previous = node.previousSibling;
+        if (previous && previous.nodeType === TEXT_NODE) {
+          previous.appendData(node.data);
+          this.removeChild(node);
+        }
+      }
+    });
+  }
+
+  cloneNode(deep = false) {
+    const clone = this.cloneShallow();
+    if (deep) this.childNodes.forEach((node) => clone.appendChild(node.cloneNode(true)));
+    return clone;
+  }
+}
+
+export default Node;
@@ -0,0 +1,65 @@
+import createTreeBuilder from '../tree-builder.js';
+import { RCDATA_ELEMENTS } from '../tokenizer.js';
+import decodeEntities from '../entities.js';
+import { UNESCAPED_ELEMENTS } from './serialize.js';
+import { TEXT_NODE } from './node-types.js';
+
+/**
+ * Parses HTML with the bundled tree builder and appends the resulting nodes to `parent`.
+ *
+ * @param {DomNode} parent
+ * @param {string} html
+ * @param {boolean} isDocument True if `parent` is an HTML element
+ */
+function parseHtml(parent, html, isDocument) {
+  const doc = parent.ownerDocument;
+  let current = parent;
+
+  const builder = createTreeBuilder({
+    open(name, attributes) {
+      const element = doc.createElement(name);
+      attributes.forEach((attribute) => element.setAttribute(attribute.name, attribute.value));
+      current.appendChild(element);
+      current = element;
+    },
+    close() {
+      current = current.parentNode;
+    },
+    text(text, raw) {
+      const data = raw ? text : decodeEntities(text);
+      const last = current.lastChild;
+      if (last && last.nodeType === TEXT_NODE) {
+        last.appendData(data);
+      } else {
+        current.appendChild(doc.createTextNode(data));
+      }
+    },
+    comment(text) {
+      current.appendChild(doc.createComment(text));
+    },
+  }, isDocument);
+
+  builder.write(html.replace(/\r\n?/g, '\n'));
+  builder.end();
+}
+
+/**
+ * Replaces the child nodes of an element with the nodes parsed from HTML, like setting its
+ * `innerHTML`. The content of raw text and RCDATA elements is not parsed as markup.
+ *
+ * @param {DomNode} element
+ * @param {string} html
+ */
+function setInnerHtml(element, html) {
+  element.childNodes.slice().forEach((node) => element.removeChild(node));
+
+  if (UNESCAPED_ELEMENTS.includes(element.nodeName)) {
+    if (html) element.appendChild(element.ownerDocument.createTextNode(html));
+  } else if (RCDATA_ELEMENTS.includes(element.nodeName)) {
+    if (html) element.appendChild(element.ownerDocument.createTextNode(decodeEntities(html)));
+  } else {
+    parseHtml(element, html, element.nodeName === 'HTML');
+  }
+}
+
+export default setInnerHtml;
@@ -0,0 +1,63 @@
+import { VOID_ELEMENTS } from '../tree-builder.js';
+import { RAW_TEXT_ELEMENTS, TEXT_ONLY_ELEMENTS } from '../tokenizer.js';
+import { escapeText, startTag } from '../serialize.js';
+import { ELEMENT_NODE, TEXT_NODE, COMMENT_NODE } from './node-types.js';
+
+// The text content of these elements is serialized without escaping.
+const UNESCAPED_ELEMENTS = RAW_TEXT_ELEMENTS.concat(['PLAINTEXT']);
+
+// True if the node is in an SVG or MATH element. The content of elements like STYLE is parsed as
+// markup there, so it must be escaped, even when the DOM has it as text.
+function inForeignContent(node) {
+  for (let ancestor = node.parentNode; ancestor; ancestor = ancestor.parentNode) {
+    if (ancestor.nodeName === 'SVG' || ancestor.nodeName === 'MATH') return true;
+  }
+  return false;
+}
+
+// Serializes the content of an element like STYLE or TEXTAREA as its text content, since that is
+// how it is parsed, even if the DOM has child elements or comments (which it can have in SVG and
+// MATH). The text is escaped unless it is raw text which can't end the element early.
+function serializeText(element) {
+  const text = element.textContent;
+  if (
+    UNESCAPED_ELEMENTS.includes(element.nodeName)
+    && !inForeignContent(element)
+    && !new RegExp(`</${element.localName}`, 'i').test(text)
+  ) {
+    return text;
+  }
+  return escapeText(text);
+}
+
+/**
+ * Serializes a node like the WHATWG HTML fragment serialization algorithm.
+ *
+ * @param {DomNode} node
+ * @return {string}
+ */
+function serialize(node) {
+  switch (node.nodeType) {
+    case ELEMENT_NODE:
+      if (VOID_ELEMENTS.includes(node.nodeName)) return startTag(node);
+      return `${startTag(node)}${serializeChildren(node)}</${node.localName}>`;
+    case TEXT_NODE:
+      return escapeText(node.data);
+    case COMMENT_NODE:
+      return `<!--${node.data}-->`;
+    default:
+      return serializeChildren(node);
+  }
+}
+
+/**
+ * @param {DomNode} node
+ * @return {string} The serialized child nodes of the node.
+ */
+function serializeChildren(node) {
+  if (TEXT_ONLY_ELEMENTS.includes(node.nodeName)) return serializeText(node);
+  return node.childNodes.map((child) => serialize(child)).join('');
+}
+
+export { UNESCAPED_ELEMENTS, serializeChildren };
+export default serialize;
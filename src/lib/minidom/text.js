@@ -0,0 +1,14 @@
+import CharacterData from './character-data.js';
+import { TEXT_NODE } from './node-types.js';
+
+class Text extends CharacterData {
+  constructor(ownerDocument, data) {
+    super(ownerDocument, TEXT_NODE, '#text', data);
+  }
+
+  cloneShallow() {
+    return new Text(this.ownerDocument, this.data);
+  }
+}
+
+export default Text;
@@ -0,0 +1,42 @@
+import tagnameOf from './tagname.js';
+
+function elementIndex(node) {
+  let index = 1;
+  let sibling = node.previousSibling;
+  while (sibling) {
+    if (sibling.nodeType === 1) index += 1;
+    sibling = sibling.previousSibling;
+  }
+  return index;
+}
+
+function segment(node, parent) {
+  const name = tagnameOf(node);
+  if (node.nodeType === 1 && parent && node.parentNode === parent) {
+    return `${name}:nth-child(${elementIndex(node)})`;
+  }
+  return name;
+}
+
+/**
+ * Describes the position of a node with a string similar to a CSS selector, e.g.
+ * `BODY > DIV:nth-child(2) > P:nth-child(1) > B`.
+ *
+ * The `:nth-child()` index is only given while the node is still attached to its parent. It is
+ * missing for nodes which are being moved (for example the child nodes of a flattened node).
+ *
+ * @param {?DomNode} node The node, or `null` to describe only the path of the parents.
+ * @param {DomNode[]} parents The (not flattened) parents of the node, innermost first.
+ * @return {string}
+ */
+function nodePath(node, parents) {
+  const segments = [];
+  for (let i = parents.length - 1; i >= 0; i -= 1) {
+    const parent = parents[i];
+    segments.push(i === parents.length - 1 ? parent.nodeName : segment(parent, parents[i + 1]));
+  }
+  if (node && node !== parents[0]) segments.push(segment(node, parents[0]));
+  return segments.join(' > ');
+}
+
+export default nodePath;
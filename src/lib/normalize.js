@@ -0,0 +1,151 @@
+import childrenSnapshot from './children-snapshot.js';
+
+// Elements which are laid out as blocks. They are not allowed in phrasing content.
+const BLOCK_ELEMENTS = [
+  'ADDRESS', 'ARTICLE', 'ASIDE', 'BLOCKQUOTE', 'CENTER', 'DD', 'DETAILS', 'DIALOG', 'DIR', 'DIV',
+  'DL', 'DT', 'FIELDSET', 'FIGCAPTION', 'FIGURE', 'FOOTER', 'FORM', 'H1', 'H2', 'H3', 'H4', 'H5',
+  'H6', 'HEADER', 'HGROUP', 'HR', 'LI', 'LISTING', 'MAIN', 'MENU', 'NAV', 'OL', 'P', 'PRE',
+  'SECTION', 'SUMMARY', 'TABLE', 'UL', 'XMP',
+];
+
+// Elements whose content model is phrasing content. Transparent elements like A, INS and DEL
+// are missing, because they may contain blocks where their parent may.
+const PHRASING_CONTAINERS = [
+  'ABBR', 'B', 'BDI', 'BDO', 'BIG', 'BUTTON', 'CITE', 'CODE', 'DATA', 'DFN', 'EM', 'FONT', 'H1',
+  'H2', 'H3', 'H4', 'H5', 'H6', 'I', 'KBD', 'LABEL', 'MARK', 'P', 'PRE', 'Q', 'S', 'SAMP', 'SMALL',
+  'SPAN', 'STRIKE', 'STRONG', 'SUB', 'SUP', 'TIME', 'TT', 'U', 'VAR',
+];
+
+// Elements which are neither blocks nor inline content. They end a run of inline content.
+const METADATA_ELEMENTS = ['LINK', 'META', 'SCRIPT', 'STYLE', 'TEMPLATE'];
+
+const LIST_ELEMENTS = ['MENU', 'OL', 'UL'];
+
+const isWhitespace = (node) => node.nodeType === 3 && /^\s*$/.test(node.data);
+
+// Comments and whitespace can be part of a run, but don't start or end one.
+const isFiller = (node) => isWhitespace(node) || node.nodeType === 8;
+
+const isInline = (node) => (node.nodeType === 3 && !isWhitespace(node)) || (
+  node.nodeType === 1
+  && !BLOCK_ELEMENTS.includes(node.nodeName)
+  && !METADATA_ELEMENTS.includes(node.nodeName)
+);
+
+/**
+ * Flattens the block elements within phrasing content, like the DIV in
+ * `<b>a<div>b</div></b>`.
+ *
+ * @param {DomNode} parent
+ * @param {DomNode[]} parents `parent` and its parents, innermost first
+ * @param {boolean} inPhrasing True if `parent` is or is within phrasing content
+ * @param {function(DomNode, DomNode[], Object)} report
+ */
+function unnestBlocks(parent, parents, inPhrasing, report) {
+  childrenSnapshot(parent).forEach((child) => {
+    if (child.nodeType !== 1) return;
+
+    const flatten = inPhrasing && BLOCK_ELEMENTS.includes(child.nodeName);
+    if (flatten) report(child, parents, { action: 'flatten' });
+
+    unnestBlocks(
+      child,
+      flatten ? parents : [child].concat(parents),
+      inPhrasing || PHRASING_CONTAINERS.includes(child.nodeName),
+      report,
+    );
+
+    if (flatten) {
+      childrenSnapshot(child).forEach((grandchild) => parent.insertBefore(grandchild, child));
+      child.remove();
+    }
+  });
+}
+
+/**
+ * Wraps each run of child nodes accepted by `isMember` (possibly with fillers in between) in a
+ * new element.
+ *
+ * @param {DomDocument} doc
+ * @param {DomNode[]} parents The parent of the runs and its parents, innermost first
+ * @param {function(DomNode): boolean} isMember
+ * @param {Tagname} wrapper The tag name of the new elements
+ * @param {function(DomNode, DomNode[], Object)} report
+ */
+function wrapRuns(doc, parents, isMember, wrapper, report) {
+  const parent = parents[0];
+  let run = [];
+  const wrapRun = () => {
+    while (run.length && isFiller(run[run.length - 1])) run.pop();
+    if (run.length) {
+      report(run[0], parents, { action: 'wrap', wrapper });
+      const element = parent.insertBefore(doc.createElement(wrapper), run[0]);
+      run.forEach((node) => element.appendChild(node));
+    }
+    run = [];
+  };
+
+  childrenSnapshot(parent).forEach((child) => {
+    if (isMember(child) || (run.length && isFiller(child))) {
+      run.push(child);
+    } else {
+      wrapRun();
+    }
+  });
+  wrapRun();
+}
+
+/**
+ * Wraps LI elements which are not in a list.
+ *
+ * @param {DomDocument} doc
+ * @param {DomNode[]} parents The node and its parents, innermost first
+ * @param {Tagname} wrapper
+ * @param {function(DomNode, DomNode[], Object)} report
+ */
+function wrapListItems(doc, parents, wrapper, report) {
+  const node = parents[0];
+  if (!LIST_ELEMENTS.includes(node.nodeName)) {
+    wrapRuns(doc, parents, (child) => child.nodeName === 'LI', wrapper, report);
+  }
+  childrenSnapshot(node).forEach((child) => {
+    if (child.nodeType === 1) wrapListItems(doc, [child].concat(parents), wrapper, report);
+  });
+}
+
+/**
+ * Normalizes the structure of a sanitized tree, according to the option `normalize`. The
+ * enabled steps run in this order:
+ *
+ * 1. `unnest_blocks`: Block elements within phrasing content (like a DIV within a B or P) are
+ *    flattened.
+ * 2. `wrap_list_items`: Runs of LI elements which are not within a list are wrapped in a new
+ *    element with this tag name.
+ * 3. `wrap_inline`: Runs of text and inline elements directly within the root are wrapped in a new
+ *    element with this tag name. This is skipped if the root may only contain phrasing content
+ *    (like a P).
+ * 4. `merge_text`: Adjacent text nodes are merged, and empty text nodes are removed.
+ *
+ * The new elements are not checked against the options.
+ *
+ * @param {DomDocument} doc
+ * @param {DomNode} root
+ * @param {Object} settings The value of the option `normalize`
+ * @param {function(DomNode, DomNode[], Object)} report Called with the node, its parents
+ * (innermost first) and the change, before each change.
+ */
+function normalizeStructure(doc, root, settings, report) {
+  if (settings.unnest_blocks) {
+    unnestBlocks(root, [root], PHRASING_CONTAINERS.includes(root.nodeName), report);
+  }
+  if (settings.wrap_list_items) {
+    wrapListItems(doc, [root], settings.wrap_list_items.toUpperCase(), report);
+  }
+  if (settings.wrap_inline && !PHRASING_CONTAINERS.includes(root.nodeName)) {
+    wrapRuns(doc, [root], isInline, settings.wrap_inline.toUpperCase(), report);
+  }
+  if (settings.merge_text) root.normalize();
+}
+
+export { BLOCK_ELEMENTS };
+export default normalizeStructure;
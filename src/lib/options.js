@@ -1,11 +1,132 @@
-function compileRegex(str) {
-  return new RegExp(str, 'i');
+import validateOptions from './validate-options.js';
+import { compileRule } from './matchers.js';
+import isPlainObject from './is-plain-object.js';
+
+const optionDefaults = {
+  filters_by_tag: {},
+  exit_filters_by_tag: {},
+  filter_concurrency: 1,
+  rename_tags_direct: {},
+  rename_tags_deep: {},
+  remove_tags_direct: {},
+  remove_tags_deep: {},
+  flatten_tags_direct: {},
+  flatten_tags_deep: {},
+  allow_tags_direct: {},
+  allow_tags_deep: {},
+  keep_comments: false,
+  allow_attributes_by_tag: {},
+  remove_attributes_by_tag: {},
+  allow_attribute_values_by_tag: {},
+  transform_attributes_by_tag: {},
+  allow_styles_by_tag: {},
+  allow_classes_by_tag: {},
+  allow_url_schemes_by_tag: {},
+  allow_url_hosts_by_tag: {},
+  block_url_hosts_by_tag: {},
+  allow_relative_urls: true,
+  url_base: null,
+  join_siblings: [],
+  normalize: null,
+  collapse_whitespace: false,
+  remove_invisible_characters: false,
+  trim_blocks: false,
+  remove_empty: false,
+  allowed_empty_tags: ['IMG', 'IFRAME', 'HR', 'BR', 'INPUT'],
+  report: null,
+  dry_run: false,
+};
+
+// Marks options which have been precompiled.
+const COMPILED = Symbol('compiled');
+
+/**
+ * @param {(Object|Map|Array)} spec A spec like a {@link ParentChildSpec}: An object whose keys are
+ * {@link Regex} strings, a Map whose keys can be any rules, or an array of names, which is short
+ * for exact names under any tag.
+ * @return {Array.<Array>} The key-value pairs
+ */
+function specEntries(spec) {
+  if (spec instanceof Map) return Array.from(spec.entries());
+  if (Array.isArray(spec)) return [['.*', [spec]]];
+  return Object.getOwnPropertyNames(spec).map((key) => [key, spec[key]]);
+}
+
+/**
+ * Compiles the inner spec of the options `allow_attribute_values_by_tag` and
+ * `allow_styles_by_tag`.
+ *
+ * @param {(Object|Map|Rule|Rule[])} spec An object or Map from attribute (or CSS property) name
+ * rules to value rules and validator functions. Instead of a spec, a rule or an array of rules
+ * allows any value.
+ * @return {Map.<(RegExp|Matcher), Array>} The compiled name rules, each with its value rules.
+ * Functions are kept as they are.
+ */
+function compileValueSpec(spec) {
+  const entries = isPlainObject(spec) || spec instanceof Map
+    ? specEntries(spec)
+    : [].concat(spec).map((rule) => [rule, '']);
+  const map = new Map();
+  entries.forEach(([nameRule, valueRules]) => {
+    const rules = [].concat(valueRules).map((rule) => (
+      typeof rule === 'function' ? rule : compileRule(rule)
+    ));
+    map.set(compileRule(nameRule), rules);
+  });
+  return map;
 }
 
+/**
+ * Fills in the default values and compiles the specs of the options into Maps of compiled rules
+ * (see {@link compileRule}). The argument is not modified.
+ *
+ * @param {Object} options
+ * @return {Object} The precompiled options. When already precompiled options are passed in, they
+ * are returned as they are.
+ * @throws {Error} If the options are not valid (see {@link validateOptions}). The problems are
+ * listed in the message, and available as the `problems` property of the error.
+ */
 function precompileOptions(options) {
-  const opts = options;
+  if (options && options[COMPILED]) return options;
+
+  const problems = validateOptions(options);
+  if (problems.length) {
+    const list = problems.map(({ path, message }) => `\n- ${path ? `${path}: ` : ''}${message}`);
+    const error = new Error(`Invalid options:${list.join('')}`);
+    error.problems = problems;
+    throw error;
+  }
+
+  const opts = { ...optionDefaults, ...options, [COMPILED]: true };
 
-  const keysToRegexp = ['filters_by_tag'];
+  // A tag name, or an array of tag names, joins these tags with the default settings.
+  let joinEntries;
+  if (typeof opts.join_siblings === 'string' || Array.isArray(opts.join_siblings)) {
+    const names = [].concat(opts.join_siblings);
+    joinEntries = names.length ? [[names, {}]] : [];
+  } else {
+    joinEntries = specEntries(opts.join_siblings);
+  }
+  opts.join_siblings = new Map();
+  joinEntries.forEach(([tagRule, settings]) => {
+    opts.join_siblings.set(compileRule(tagRule), {
+      same_attributes: settings.same_attributes !== false,
+      separator: settings.separator ? settings.separator.toUpperCase() : null,
+    });
+  });
+
+  // `true` only removes nodes without any child nodes.
+  if (opts.remove_empty) {
+    const settings = opts.remove_empty === true ? {} : opts.remove_empty;
+    opts.remove_empty = { whitespace: false, br: false, ...settings };
+  }
+
+  // A single tag name, or an array of tag names, is allowed to be empty in any parent.
+  if (typeof opts.allowed_empty_tags === 'string') {
+    opts.allowed_empty_tags = [opts.allowed_empty_tags];
+  }
+
+  const keysToRegexp = ['filters_by_tag', 'exit_filters_by_tag'];
   const keysAndValuesToRegexp = [
     'remove_tags_direct',
     'remove_tags_deep',
@@ -14,37 +135,71 @@ function precompileOptions(options) {
     'allow_tags_direct',
     'allow_tags_deep',
     'allow_attributes_by_tag',
+    'remove_attributes_by_tag',
     'allow_classes_by_tag',
+    'allow_url_schemes_by_tag',
+    'allow_url_hosts_by_tag',
+    'block_url_hosts_by_tag',
+    'allowed_empty_tags',
   ];
+  const nestedKeysAndValuesToRegexp = ['allow_attribute_values_by_tag', 'allow_styles_by_tag'];
 
   keysAndValuesToRegexp.forEach((key) => {
     const option = opts[key];
 
     if (!option) return;
 
-    const tagExpressions = Object.getOwnPropertyNames(option);
-
     const optionMap = new Map();
-    tagExpressions.forEach((tagExp) => {
-      const valueExpressions = [].concat(option[tagExp]); // support for string and array
-
-      const valueRegExps = valueExpressions.map((valueExp) => compileRegex(valueExp));
-      const tagRegExp = compileRegex(tagExp);
-      optionMap.set(tagRegExp, valueRegExps);
+    specEntries(option).forEach(([tagRule, valueRules]) => {
+      // support for a single rule and an array of rules
+      optionMap.set(compileRule(tagRule), [].concat(valueRules).map(compileRule));
     });
 
     opts[key] = optionMap;
   });
 
-  keysToRegexp.forEach((key) => {
+  nestedKeysAndValuesToRegexp.forEach((key) => {
     const option = opts[key];
 
-    const tagExpressions = Object.getOwnPropertyNames(option);
+    if (!option) return;
+
+    const optionMap = new Map();
+    specEntries(option).forEach(([tagRule, innerOption]) => {
+      optionMap.set(compileRule(tagRule), compileValueSpec(innerOption));
+    });
+
+    opts[key] = optionMap;
+  });
 
+  // The inner specs map rules for the child tag names to the new tag names.
+  ['rename_tags_direct', 'rename_tags_deep'].forEach((key) => {
+    const renameMap = new Map();
+    specEntries(opts[key]).forEach(([parentRule, namesByRule]) => {
+      const innerMap = new Map();
+      specEntries(namesByRule).forEach(([childRule, newTagname]) => {
+        innerMap.set(compileRule(childRule), newTagname.toUpperCase());
+      });
+      renameMap.set(compileRule(parentRule), innerMap);
+    });
+    opts[key] = renameMap;
+  });
+
+  // The keys of the inner objects are attribute names, not rules, because transformers can add
+  // attributes.
+  const transformMap = new Map();
+  specEntries(opts.transform_attributes_by_tag).forEach(([tagRule, transformersByName]) => {
+    const innerMap = new Map();
+    Object.getOwnPropertyNames(transformersByName).forEach((name) => {
+      innerMap.set(name.toLowerCase(), [].concat(transformersByName[name]));
+    });
+    transformMap.set(compileRule(tagRule), innerMap);
+  });
+  opts.transform_attributes_by_tag = transformMap;
+
+  keysToRegexp.forEach((key) => {
     const optionMap = new Map();
-    tagExpressions.forEach((tagExp) => {
-      const tagRegExp = compileRegex(tagExp);
-      optionMap.set(tagRegExp, option[tagExp]);
+    specEntries(opts[key]).forEach(([tagRule, filters]) => {
+      optionMap.set(compileRule(tagRule), filters);
     });
 
     opts[key] = optionMap;
@@ -53,4 +208,5 @@ function precompileOptions(options) {
   return opts;
 }
 
+export { optionDefaults, COMPILED, compileValueSpec };
 export default precompileOptions;
@@ -0,0 +1,221 @@
+// A small CSS selector engine for the bundled minimal DOM. Supported are type, universal, ID,
+// class and attribute selectors (with the operators `=`, `~=`, `|=`, `^=`, `$=` and `*=`), the
+// pseudo-classes `:first-child`, `:last-child`, `:only-child`, `:empty` and `:not()`, all
+// combinators, and selector lists.
+
+const IDENTIFIER = /^-?[_a-zA-Z\u00A0-\uFFFF][-_a-zA-Z0-9\u00A0-\uFFFF]*/;
+
+// The parsed selectors, by selector string. Their number is limited, because `Element.matches` can
+// be called with any number of different selectors, e.g. by filters.
+const parsed = new Map();
+const MAX_PARSED_SELECTORS = 1000;
+
+function parse(selector) {
+  let position = 0;
+
+  const fail = () => {
+    throw new Error(`Invalid or unsupported selector '${selector}'`);
+  };
+  const skipWhitespace = () => {
+    const whitespace = /^\s*/.exec(selector.slice(position))[0];
+    position += whitespace.length;
+    return whitespace.length > 0;
+  };
+  const identifier = () => {
+    const match = IDENTIFIER.exec(selector.slice(position));
+    if (!match) fail();
+    position += match[0].length;
+    return match[0];
+  };
+  const string = () => {
+    const quote = selector[position];
+    const close = selector.indexOf(quote, position + 1);
+    if (close === -1) fail();
+    const value = selector.slice(position + 1, close);
+    position = close + 1;
+    return value;
+  };
+
+  function attribute() {
+    position += 1; // [
+    skipWhitespace();
+    const test = { type: 'attribute', name: identifier().toLowerCase() };
+    skipWhitespace();
+    const operator = /^[~|^$*]?=/.exec(selector.slice(position));
+    if (operator) {
+      position += operator[0].length;
+      skipWhitespace();
+      [test.operator] = operator;
+      test.value = /['"]/.test(selector[position]) ? string() : identifier();
+      skipWhitespace();
+      test.ignoreCase = /^i\b/i.test(selector.slice(position));
+      if (test.ignoreCase) {
+        position += 1;
+        skipWhitespace();
+      }
+    }
+    if (selector[position] !== ']') fail();
+    position += 1;
+    return test;
+  }
+
+  function pseudoClass() {
+    position += 1; // :
+    const name = identifier().toLowerCase();
+    if (name === 'not') {
+      if (selector[position] !== '(') fail();
+      position += 1;
+      const list = selectorList();
+      if (selector[position] !== ')') fail();
+      position += 1;
+      return { type: 'not', list };
+    }
+    if (!['first-child', 'last-child', 'only-child', 'empty'].includes(name)) fail();
+    return { type: name };
+  }
+
+  function compound() {
+    const tests = [];
+    if (selector[position] === '*') {
+      position += 1;
+    } else if (IDENTIFIER.test(selector.slice(position))) {
+      tests.push({ type: 'tag', name: identifier().toUpperCase() });
+    }
+    for (;;) {
+      const char = selector[position];
+      if (char === '#') {
+        position += 1;
+        tests.push({ type: 'id', name: identifier() });
+      } else if (char === '.') {
+        position += 1;
+        tests.push({ type: 'class', name: identifier() });
+      } else if (char === '[') {
+        tests.push(attribute());
+      } else if (char === ':') {
+        tests.push(pseudoClass());
+      } else {
+        return tests;
+      }
+    }
+  }
+
+  // A complex selector is a list of compound selectors, each with the combinator which relates it
+  // to the one before it.
+  function complex() {
+    const parts = [];
+    let combinator = null;
+    for (;;) {
+      const start = position;
+      const tests = compound();
+      if (position === start) fail();
+      parts.push({ tests, combinator });
+
+      const whitespace = skipWhitespace();
+      const char = selector[position];
+      if (char === '>' || char === '+' || char === '~') {
+        combinator = char;
+        position += 1;
+        skipWhitespace();
+      } else if (whitespace && char !== undefined && char !== ',' && char !== ')') {
+        combinator = ' ';
+      } else {
+        return parts;
+      }
+    }
+  }
+
+  function selectorList() {
+    const list = [];
+    for (;;) {
+      skipWhitespace();
+      list.push(complex());
+      if (selector[position] !== ',') return list;
+      position += 1;
+    }
+  }
+
+  const list = selectorList();
+  if (position < selector.length) fail();
+  return list;
+}
+
+function elementSiblings(element) {
+  if (!element.parentNode) return [element];
+  return element.parentNode.childNodes.filter((node) => node.nodeType === 1);
+}
+
+function matchesAttribute(element, test) {
+  if (!element.hasAttribute(test.name)) return false;
+  if (!test.operator) return true;
+
+  let value = element.getAttribute(test.name);
+  let expected = test.value;
+  if (test.ignoreCase) {
+    value = value.toLowerCase();
+    expected = expected.toLowerCase();
+  }
+  switch (test.operator) {
+    case '=': return value === expected;
+    case '~=': return value.split(/\s+/).includes(expected);
+    case '|=': return value === expected || value.startsWith(`${expected}-`);
+    case '^=': return expected !== '' && value.startsWith(expected);
+    case '$=': return expected !== '' && value.endsWith(expected);
+    default: return expected !== '' && value.includes(expected); // *=
+  }
+}
+
+function matchesTest(element, test) {
+  switch (test.type) {
+    case 'tag': return element.nodeName.toUpperCase() === test.name;
+    case 'id': return element.getAttribute('id') === test.name;
+    case 'class': return element.classList.contains(test.name);
+    case 'attribute': return matchesAttribute(element, test);
+    case 'first-child': return elementSiblings(element)[0] === element;
+    case 'last-child': return elementSiblings(element).slice(-1)[0] === element;
+    case 'only-child': return elementSiblings(element).length === 1;
+    case 'empty': return !element.childNodes.some((node) => [1, 3].includes(node.nodeType));
+    default: return !matchesList(element, test.list);
+  }
+}
+
+function matchesComplex(element, parts, index) {
+  const { tests, combinator } = parts[index];
+  if (!tests.every((test) => matchesTest(element, test))) return false;
+  if (index === 0) return true;
+
+  if (combinator === '>' || combinator === ' ') {
+    for (let parent = element.parentElement; parent; parent = parent.parentElement) {
+      if (matchesComplex(parent, parts, index - 1)) return true;
+      if (combinator === '>') return false;
+    }
+    return false;
+  }
+
+  const siblings = elementSiblings(element);
+  for (let i = siblings.indexOf(element) - 1; i >= 0; i -= 1) {
+    if (matchesComplex(siblings[i], parts, index - 1)) return true;
+    if (combinator === '+') return false;
+  }
+  return false;
+}
+
+function matchesList(element, list) {
+  return list.some((parts) => matchesComplex(element, parts, parts.length - 1));
+}
+
+/**
+ * @param {DomNode} element
+ * @param {string} selector
+ * @return {boolean} True if the element matches the selector, like `Element.matches`.
+ */
+function matchesSelector(element, selector) {
+  let list = parsed.get(selector);
+  if (!list) {
+    list = parse(selector);
+    if (parsed.size >= MAX_PARSED_SELECTORS) parsed.clear();
+    parsed.set(selector, list);
+  }
+  return matchesList(element, list);
+}
+
+export default matchesSelector;
@@ -0,0 +1,45 @@
+// Escaping as specified by the WHATWG HTML fragment serialization algorithm.
+
+function escapeText(str) {
+  return str
+    .replace(/&/g, '&amp;')
+    .replace(/\u00A0/g, '&nbsp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+function escapeAttribute(str) {
+  return str
+    .replace(/&/g, '&amp;')
+    .replace(/\u00A0/g, '&nbsp;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * @param {DomNode} node An element
+ * @return {string} The start tag of the element, with its attributes.
+ */
+function startTag(node) {
+  let html = `<${node.nodeName.toLowerCase()}`;
+  for (let i = 0; i < node.attributes.length; i += 1) {
+    const { name, value } = node.attributes[i];
+    html += ` ${name}="${escapeAttribute(value)}"`;
+  }
+  return `${html}>`;
+}
+
+/**
+ * @param {string} data
+ * @return {boolean} True if the data of a comment would end the serialized comment early (like
+ * `-->`), so that the rest of it would be parsed as markup.
+ */
+function endsCommentEarly(data) {
+  return /^-?>|--!?>|<!-$/.test(data);
+}
+
+export {
+  escapeText,
+  escapeAttribute,
+  startTag,
+  endsCommentEarly,
+};
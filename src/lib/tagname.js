@@ -0,0 +1,19 @@
+// The pseudo tag names of the nodes which are not elements, by node type.
+const PSEUDO_TAGNAMES = {
+  3: 'TEXT',
+  4: 'CDATA',
+  7: 'PROCESSING_INSTRUCTION',
+  8: 'COMMENT',
+};
+
+/**
+ * @param {DomNode} node
+ * @return {Tagname} The tag name of an element, or the pseudo tag name of a text node (`TEXT`),
+ * comment (`COMMENT`), CDATA section (`CDATA`) or processing instruction
+ * (`PROCESSING_INSTRUCTION`). For other nodes, the node name.
+ */
+function tagnameOf(node) {
+  return PSEUDO_TAGNAMES[node.nodeType] || node.nodeName;
+}
+
+export default tagnameOf;
@@ -0,0 +1,118 @@
+/*
+eslint no-param-reassign: ["error", { "props": true, "ignorePropertyModificationsFor": ["node"] }]
+*/
+
+import { BLOCK_ELEMENTS } from './normalize.js';
+
+// The whitespace in these elements is significant.
+const PREFORMATTED_ELEMENTS = [
+  'CODE', 'LISTING', 'PLAINTEXT', 'PRE', 'SCRIPT', 'STYLE', 'TEXTAREA', 'XMP',
+];
+
+// Leading and trailing whitespace is trimmed in these elements, besides the block elements.
+const BLOCK_CONTAINERS = BLOCK_ELEMENTS.concat(['BODY', 'CAPTION', 'TD', 'TH']);
+
+// Control characters (except tabs and line breaks), zero-width spaces, word joiners, byte order
+// marks, soft hyphens and bidirectional embeddings, overrides and isolates. Zero-width joiners
+// and non-joiners are kept, because they are needed to display emoji and some scripts.
+// eslint-disable-next-line no-control-regex
+const INVISIBLE_CHARACTERS = /[\0-\x08\x0B\x0E-\x1F\x7F-\x9F\u00AD\u180E\u200B\u2060\uFEFF\u202A-\u202E\u2066-\u2069]/g;
+
+// Runs of whitespace, including no-break spaces
+const WHITESPACE = /[\t\n\f\r \u00A0]+/g;
+
+const LEADING_WHITESPACE = /^[\t\n\f\r ]+/;
+const TRAILING_WHITESPACE = /[\t\n\f\r ]+$/;
+
+const isBlock = (node) => node.nodeType === 1 && BLOCK_ELEMENTS.includes(node.nodeName);
+
+/**
+ * @param {Tagname[]} parentNodenames The tag names of the parents of a text node
+ * @return {boolean} True if the whitespace of the text is significant.
+ */
+function isPreformatted(parentNodenames) {
+  return parentNodenames.some((name) => PREFORMATTED_ELEMENTS.includes(name));
+}
+
+/**
+ * @param {string} text
+ * @return {string} The text without invisible characters (see the option
+ * `remove_invisible_characters`).
+ */
+function removeInvisibleCharacters(text) {
+  return text.replace(INVISIBLE_CHARACTERS, '');
+}
+
+/**
+ * @param {string} text
+ * @return {string} The text with each run of whitespace replaced by a single space. A single
+ * no-break space is kept, because it is usually intended.
+ */
+function collapseWhitespace(text) {
+  return text.replace(WHITESPACE, (run) => (run === '\u00A0' ? run : ' '));
+}
+
+/**
+ * Joins adjacent text nodes (with `normalize()`), then collapses the whitespace where text nodes
+ * were joined (with option `collapse_whitespace`) and trims the whitespace at the start and end of
+ * blocks (with option `trim_blocks`). Text nodes which become empty are removed.
+ *
+ * @param {DomNode} root
+ * @param {Object} opts Precompiled options
+ * @param {function(DomNode, DomNode[], Object)} report Called with the node, its parents
+ * (innermost first) and the change, before each change.
+ */
+function cleanTextNodes(root, opts, report) {
+  root.normalize();
+
+  function walk(parents) {
+    const parent = parents[0];
+    const parentNodenames = parents.map((node) => node.nodeName);
+    if (isPreformatted(parentNodenames)) return;
+    const trim = opts.trim_blocks && BLOCK_CONTAINERS.includes(parent.nodeName);
+
+    Array.from(parent.childNodes).forEach((node) => {
+      if (node.nodeType === 1) {
+        walk([node].concat(parents));
+        return;
+      }
+      if (node.nodeType !== 3) return;
+
+      let text = opts.collapse_whitespace ? collapseWhitespace(node.data) : node.data;
+      let option = 'collapse_whitespace';
+      if (trim) {
+        let trimmed = text;
+        if (!node.previousSibling || isBlock(node.previousSibling)) {
+          trimmed = trimmed.replace(LEADING_WHITESPACE, '');
+        }
+        if (!node.nextSibling || isBlock(node.nextSibling)) {
+          trimmed = trimmed.replace(TRAILING_WHITESPACE, '');
+        }
+        if (trimmed !== text) option = 'trim_blocks';
+        text = trimmed;
+      }
+      if (text === node.data) return;
+
+      report(node, parents, {
+        action: 'change_text',
+        option,
+        value: node.data,
+        newValue: text,
+      });
+      if (text) {
+        node.data = text;
+      } else {
+        node.remove();
+      }
+    });
+  }
+
+  if (root.nodeType === 1 || root.nodeType === 11) walk([root]);
+}
+
+export {
+  removeInvisibleCharacters,
+  collapseWhitespace,
+  cleanTextNodes,
+  isPreformatted,
+};
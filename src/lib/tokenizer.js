@@ -0,0 +1,264 @@
+import decodeEntities from './entities.js';
+import { escapeText } from './serialize.js';
+
+// The content of these elements is text, up to the matching end tag. The content of the RCDATA
+// elements (TEXTAREA, TITLE) may contain character references, the content of the others may not.
+const RAW_TEXT_ELEMENTS = ['SCRIPT', 'STYLE', 'XMP', 'IFRAME', 'NOEMBED', 'NOFRAMES', 'NOSCRIPT'];
+const RCDATA_ELEMENTS = ['TEXTAREA', 'TITLE'];
+// All elements whose content is read as text, in HTML content.
+const TEXT_ONLY_ELEMENTS = RAW_TEXT_ELEMENTS.concat(RCDATA_ELEMENTS, ['PLAINTEXT']);
+
+/**
+ * Reads a start or end tag beginning with the tag name at `start`.
+ *
+ * @param {string} buffer
+ * @param {number} start
+ * @return {?Object} The tag name (upper case), the attributes, whether the tag is self-closing, and
+ * the position after the tag, or `null` if the tag is incomplete.
+ */
+function readTag(buffer, start) {
+  let position = start;
+  const readUntil = (regex) => {
+    const begin = position;
+    while (position < buffer.length && !regex.test(buffer[position])) position += 1;
+    return buffer.slice(begin, position);
+  };
+  const skipWhitespace = () => readUntil(/[^\t\n\f\r ]/);
+
+  const name = readUntil(/[\t\n\f\r />]/).toUpperCase();
+  const attributes = [];
+  let selfClosing = false;
+
+  for (;;) {
+    skipWhitespace();
+    if (position >= buffer.length) return null;
+
+    const char = buffer[position];
+    if (char === '>') {
+      return {
+        name,
+        attributes,
+        selfClosing,
+        end: position + 1,
+      };
+    }
+
+    if (char === '/') {
+      position += 1;
+      selfClosing = buffer[position] === '>';
+      continue;
+    }
+
+    // The first character of an attribute name may be `=`.
+    position += 1;
+    const attname = (char + readUntil(/[\t\n\f\r />=]/)).toLowerCase();
+    let value = '';
+
+    skipWhitespace();
+    if (buffer[position] === '=') {
+      position += 1;
+      skipWhitespace();
+      if (position >= buffer.length) return null;
+
+      const quote = buffer[position];
+      if (quote === '"' || quote === '\'') {
+        const close = buffer.indexOf(quote, position + 1);
+        if (close === -1) return null;
+        value = buffer.slice(position + 1, close);
+        position = close + 1;
+      } else {
+        value = readUntil(/[\t\n\f\r >]/);
+      }
+    }
+
+    // Duplicate attributes are ignored.
+    if (!attributes.some((attribute) => attribute.name === attname)) {
+      attributes.push({ name: attname, value: decodeEntities(value, true) });
+    }
+    selfClosing = false;
+  }
+}
+
+/**
+ * Creates an incremental HTML tokenizer, roughly following the WHATWG tokenization rules. Input
+ * can be passed in chunks of any size; a token which is split across chunks is returned as soon
+ * as it is complete.
+ *
+ * The tokens are plain objects with a `type` property:
+ *
+ * * `start`: `name` (the upper case tag name), `attributes` (an array of objects with `name` and
+ *   the decoded `value`) and `selfClosing`.
+ * * `end`: `name`.
+ * * `text`: `text` is the text as it appears in the input, i.e. with undecoded character
+ *   references. `raw` is true for the content of raw text elements like `SCRIPT` or `STYLE`, in
+ *   which character references are not recognized.
+ * * `comment`: `text`. CDATA sections and processing instructions are also returned as comments,
+ *   like in HTML content. In foreign content, CDATA sections are returned as text, with the
+ *   characters escaped which would otherwise be read as markup or character references.
+ * * `doctype`: The details of the doctype are not returned.
+ *
+ * Which elements have raw text content depends on the tree: In foreign content (SVG and MathML),
+ * the content of elements like `STYLE` is markup. So the tokenizer asks `inForeignContent` after
+ * each start tag, which the receiver of the tokens has already processed at that time.
+ *
+ * @param {function(Object)} emit Called with each token as soon as it is complete.
+ * @param {function(): boolean} [inForeignContent] Returns true if the current node of the tree
+ * is an SVG or MathML element.
+ * @return {{write: function(string), end: function()}} `write` emits the tokens completed by the
+ * chunk, `end` emits the remaining ones.
+ */
+function createTokenizer(emit, inForeignContent = () => false) {
+  let buffer = '';
+  let rawTextElement = null; // The name of the raw text element whose content is being read
+  let plaintext = false;
+
+  function tokenize(final) {
+    let position = 0;
+
+    function text(str, raw = false) {
+      if (str) emit({ type: 'text', text: str, raw });
+    }
+
+    // Returns the token starting with `<` at `position` and the position after it, or `null`
+    // if it is incomplete.
+    function readMarkup() {
+      const next = buffer[position + 1];
+      const textToken = (str) => ({ type: 'text', text: str, raw: false });
+      const comment = (str) => ({ type: 'comment', text: str });
+      const bogusComment = (start) => {
+        const close = buffer.indexOf('>', start);
+        if (close === -1 && !final) return null;
+        const end = close === -1 ? buffer.length : close;
+        return { token: comment(buffer.slice(start, end)), end: end + 1 };
+      };
+
+      if (next === undefined) {
+        return final ? { token: textToken('<'), end: position + 1 } : null;
+      }
+
+      if (next === '!') {
+        if (buffer.startsWith('<!--', position)) {
+          const start = position + 4;
+          // `<!-->` and `<!--->` are empty comments.
+          if (buffer.startsWith('>', start)) return { token: comment(''), end: start + 1 };
+          if (buffer.startsWith('->', start)) return { token: comment(''), end: start + 2 };
+          // Like in browsers, `--!>` ends a comment as well.
+          const close = /--!?>/.exec(buffer.slice(start));
+          if (!close && !final) return null;
+          if (!close) return { token: comment(buffer.slice(start)), end: buffer.length };
+          const end = start + close.index;
+          return { token: comment(buffer.slice(start, end)), end: end + close[0].length };
+        }
+        if (!final && '<!--'.startsWith(buffer.slice(position))) return null;
+        if (inForeignContent()) {
+          if (buffer.startsWith('<![CDATA[', position)) {
+            const start = position + 9;
+            const close = buffer.indexOf(']]>', start);
+            if (close === -1 && !final) return null;
+            const end = close === -1 ? buffer.length : close;
+            const token = textToken(escapeText(buffer.slice(start, end)));
+            return { token, end: close === -1 ? end : end + 3 };
+          }
+          if (!final && '<![CDATA['.startsWith(buffer.slice(position))) return null;
+        }
+        if (/^<!doctype/i.test(buffer.slice(position, position + 9))) {
+          const doctype = bogusComment(position + 9);
+          return doctype && { token: { type: 'doctype' }, end: doctype.end };
+        }
+        if (!final && '<!doctype'.startsWith(buffer.slice(position).toLowerCase())) return null;
+        return bogusComment(position + 2);
+      }
+
+      if (next === '?') return bogusComment(position + 1);
+
+      if (next === '/') {
+        const char = buffer[position + 2];
+        if (char === undefined) {
+          return final ? { token: textToken('</'), end: position + 2 } : null;
+        }
+        if (char === '>') return { token: null, end: position + 3 };
+        if (!/[a-z]/i.test(char)) return bogusComment(position + 2);
+
+        const tag = readTag(buffer, position + 2);
+        if (!tag) return final ? { token: null, end: buffer.length } : null; // dropped at the end
+        return { token: { type: 'end', name: tag.name }, end: tag.end };
+      }
+
+      if (/[a-z]/i.test(next)) {
+        const tag = readTag(buffer, position + 1);
+        if (!tag) return final ? { token: null, end: buffer.length } : null;
+        const { end, ...token } = tag;
+        return { token: { type: 'start', ...token }, end };
+      }
+
+      return { token: textToken('<'), end: position + 1 };
+    }
+
+    while (position < buffer.length) {
+      if (plaintext) {
+        text(buffer.slice(position), true);
+        position = buffer.length;
+        break;
+      }
+
+      if (rawTextElement) {
+        const endTag = new RegExp(`</${rawTextElement}[\\t\\n\\f\\r />]`, 'ig');
+        endTag.lastIndex = position;
+        const match = endTag.exec(buffer);
+        const raw = !RCDATA_ELEMENTS.includes(rawTextElement);
+        if (!match) {
+          // Keep what could be the beginning of the end tag.
+          const keep = final
+            ? buffer.length
+            : Math.max(position, buffer.length - rawTextElement.length - 2);
+          text(buffer.slice(position, keep), raw);
+          position = keep;
+          break;
+        }
+        text(buffer.slice(position, match.index), raw);
+        position = match.index;
+        rawTextElement = null;
+      }
+
+      const lt = buffer.indexOf('<', position);
+      if (lt === -1) {
+        text(buffer.slice(position));
+        position = buffer.length;
+        break;
+      }
+      text(buffer.slice(position, lt));
+      position = lt;
+
+      const markup = readMarkup();
+      if (!markup) break;
+      position = markup.end;
+
+      const { token } = markup;
+      if (token) {
+        emit(token);
+        if (token.type === 'start' && !inForeignContent()) {
+          if (RAW_TEXT_ELEMENTS.includes(token.name) || RCDATA_ELEMENTS.includes(token.name)) {
+            rawTextElement = token.name;
+          } else if (token.name === 'PLAINTEXT') {
+            plaintext = true;
+          }
+        }
+      }
+    }
+
+    buffer = buffer.slice(position);
+  }
+
+  return {
+    write(chunk) {
+      buffer += chunk;
+      tokenize(false);
+    },
+    end() {
+      tokenize(true);
+    },
+  };
+}
+
+export { RAW_TEXT_ELEMENTS, RCDATA_ELEMENTS, TEXT_ONLY_ELEMENTS };
+export default createTokenizer;
@@ -0,0 +1,349 @@
+import createTokenizer from './tokenizer.js';
+
+const VOID_ELEMENTS = [
+  'AREA', 'BASE', 'BASEFONT', 'BGSOUND', 'BR', 'COL', 'EMBED', 'FRAME', 'HR', 'IMG', 'INPUT',
+  'KEYGEN', 'LINK', 'META', 'PARAM', 'SOURCE', 'TRACK', 'WBR',
+];
+
+// The content of these SVG and MathML elements is HTML again. (The content of an `ANNOTATION-XML`
+// element with an HTML encoding is treated as foreign content.)
+const SVG_INTEGRATION_POINTS = ['FOREIGNOBJECT', 'DESC', 'TITLE'];
+const MATHML_INTEGRATION_POINTS = ['MI', 'MO', 'MN', 'MS', 'MTEXT'];
+
+// In foreign content, these start tags close the SVG and MathML elements up to the nearest HTML
+// element or integration point. `FONT` only does so with a `color`, `face` or `size` attribute.
+const BREAKOUT_ELEMENTS = [
+  'B', 'BIG', 'BLOCKQUOTE', 'BODY', 'BR', 'CENTER', 'CODE', 'DD', 'DIV', 'DL', 'DT', 'EM', 'EMBED',
+  'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'HEAD', 'HR', 'I', 'IMG', 'LI', 'LISTING', 'MENU', 'META',
+  'NOBR', 'OL', 'P', 'PRE', 'RUBY', 'S', 'SMALL', 'SPAN', 'STRONG', 'STRIKE', 'SUB', 'SUP', 'TABLE',
+  'TT', 'U', 'UL', 'VAR',
+];
+
+// Open elements of these types limit the search for an element to close.
+const SCOPE_BOUNDARIES = [
+  'APPLET', 'CAPTION', 'HTML', 'TABLE', 'TD', 'TH', 'MARQUEE', 'OBJECT', 'TEMPLATE',
+].concat(SVG_INTEGRATION_POINTS, MATHML_INTEGRATION_POINTS, ['ANNOTATION-XML']);
+const TABLE_SCOPE_BOUNDARIES = ['HTML', 'TABLE', 'TEMPLATE'];
+
+// Start tags of these types close an open P element.
+const CLOSES_P = [
+  'ADDRESS', 'ARTICLE', 'ASIDE', 'BLOCKQUOTE', 'CENTER', 'DD', 'DETAILS', 'DIALOG', 'DIR', 'DIV',
+  'DL', 'DT', 'FIELDSET', 'FIGCAPTION', 'FIGURE', 'FOOTER', 'FORM', 'H1', 'H2', 'H3', 'H4', 'H5',
+  'H6', 'HEADER', 'HGROUP', 'HR', 'LI', 'LISTING', 'MAIN', 'MENU', 'NAV', 'OL', 'P', 'PLAINTEXT',
+  'PRE', 'SECTION', 'SUMMARY', 'TABLE', 'UL', 'XMP',
+];
+
+// The search for an open list item to close stops at these elements.
+const LIST_ITEM_BOUNDARIES = CLOSES_P
+  .concat(SCOPE_BOUNDARIES, ['BUTTON', 'TBODY', 'TFOOT', 'THEAD', 'TR'])
+  .filter((name) => !['ADDRESS', 'DIV', 'P'].includes(name));
+
+const TABLE_SECTIONS = ['TBODY', 'TFOOT', 'THEAD'];
+
+// These tags are only meaningful in a table. Outside of a table, they are ignored.
+const TABLE_ELEMENTS = TABLE_SECTIONS.concat(['CAPTION', 'COL', 'COLGROUP', 'TD', 'TH', 'TR']);
+
+// Before the body starts, these elements are put into the HEAD element.
+const HEAD_ELEMENTS = [
+  'BASE', 'BASEFONT', 'BGSOUND', 'LINK', 'META', 'NOFRAMES', 'NOSCRIPT', 'SCRIPT', 'STYLE',
+  'TEMPLATE', 'TITLE',
+];
+
+const isHeading = (name) => /^H[1-6]$/.test(name);
+
+// The namespace of the elements which start foreign content.
+const namespaceOf = (name) => ({ SVG: 'svg', MATH: 'math' }[name] || null);
+
+function breaksOutOfForeignContent(name, attributes) {
+  if (name === 'FONT') {
+    return attributes.some((attribute) => ['color', 'face', 'size'].includes(attribute.name));
+  }
+  return BREAKOUT_ELEMENTS.includes(name);
+}
+
+/**
+ * @param {Tagname[]} open The names of the open elements, outermost first
+ * @param {Tagname[]} names The names to search for
+ * @param {Tagname[]} boundaries
+ * @return {number} The index of the innermost open element with one of the names, or -1 if there
+ * is none, or if an element with one of the boundary names is found first.
+ */
+function findOpen(open, names, boundaries = []) {
+  for (let i = open.length - 1; i >= 0; i -= 1) {
+    if (names.includes(open[i])) return i;
+    if (boundaries.includes(open[i])) return -1;
+  }
+  return -1;
+}
+
+/**
+ * Applies a small subset of the WHATWG tree construction rules for start tags in the body: Which
+ * open elements are closed implicitly, and which elements are opened implicitly.
+ *
+ * @param {Tagname[]} open The names of the open elements, outermost first
+ * @param {Tagname} name The name of the start tag
+ * @return {?{keep: number, implied: Tagname[]}} The number of open elements to keep, and the names
+ * of the elements to open before the start tag, or `null` if the start tag is to be ignored.
+ */
+function startTagRules(open, name) {
+  let keep = open.length;
+  const closeAt = (index) => {
+    if (index !== -1 && index < keep) keep = index;
+  };
+  let implied = [];
+
+  if (TABLE_ELEMENTS.includes(name)) {
+    const table = findOpen(open, ['TABLE'], ['TEMPLATE']);
+    if (table === -1) return null;
+
+    if (['CAPTION', 'COLGROUP'].concat(TABLE_SECTIONS).includes(name)) {
+      closeAt(table + 1);
+    } else if (name === 'COL') {
+      const colgroup = findOpen(open, ['COLGROUP'], TABLE_SCOPE_BOUNDARIES);
+      closeAt(colgroup === -1 ? table + 1 : colgroup + 1);
+      if (colgroup === -1) implied = ['COLGROUP'];
+    } else {
+      // TR, TD and TH
+      const context = name === 'TR' ? TABLE_SECTIONS : TABLE_SECTIONS.concat(['TR']);
+      const index = findOpen(open, context, TABLE_SCOPE_BOUNDARIES);
+      closeAt(index === -1 ? table + 1 : index + 1);
+      if (index === -1) implied.push('TBODY');
+      if (name !== 'TR' && open[index] !== 'TR') implied.push('TR');
+    }
+    return { keep, implied };
+  }
+
+  if (CLOSES_P.includes(name)) closeAt(findOpen(open, ['P'], SCOPE_BOUNDARIES.concat(['BUTTON'])));
+
+  if (isHeading(name) && isHeading(open[keep - 1])) closeAt(keep - 1);
+  if (name === 'LI') closeAt(findOpen(open, ['LI'], LIST_ITEM_BOUNDARIES));
+  if (name === 'DD' || name === 'DT') closeAt(findOpen(open, ['DD', 'DT'], LIST_ITEM_BOUNDARIES));
+  if (name === 'A') closeAt(findOpen(open, ['A'], TABLE_SCOPE_BOUNDARIES));
+  if (name === 'BUTTON') closeAt(findOpen(open, ['BUTTON'], SCOPE_BOUNDARIES));
+  if ((name === 'OPTION' || name === 'OPTGROUP') && open[keep - 1] === 'OPTION') closeAt(keep - 1);
+  if (name === 'OPTGROUP' && open[keep - 1] === 'OPTGROUP') closeAt(keep - 1);
+
+  return { keep, implied };
+}
+
+/**
+ * @param {Tagname[]} open The names of the open elements, outermost first
+ * @param {Tagname} name The name of the end tag
+ * @return {number} The index of the open element closed by the end tag, or -1 if the end tag is to
+ * be ignored.
+ */
+function endTagIndex(open, name) {
+  if (TABLE_ELEMENTS.includes(name) || name === 'TABLE') {
+    return findOpen(open, [name], TABLE_SCOPE_BOUNDARIES);
+  }
+  if (name === 'LI') return findOpen(open, [name], SCOPE_BOUNDARIES.concat(['OL', 'UL']));
+  if (name === 'P') return findOpen(open, [name], SCOPE_BOUNDARIES.concat(['BUTTON']));
+  if (isHeading(name)) return findOpen(open, ['H1', 'H2', 'H3', 'H4', 'H5', 'H6'], SCOPE_BOUNDARIES);
+  return findOpen(open, [name], SCOPE_BOUNDARIES);
+}
+
+/**
+ * Creates an incremental tree builder for HTML content. It tokenizes the HTML with
+ * {@link createTokenizer} and reports the elements, text and comments of the resulting tree to a
+ * handler, in document order.
+ *
+ * Only a small subset of the WHATWG tree construction rules is implemented: Void elements, the
+ * implicit closing of elements like `P` and `LI`, the implicit `TBODY` and `TR` elements of
+ * tables, the `HTML`, `HEAD` and `BODY` elements, and foreign content (SVG and MathML), in which
+ * elements like `STYLE` contain markup and some HTML start tags close the foreign elements.
+ * Misnested formatting elements and content in tables which should be moved before the table are
+ * not corrected.
+ *
+ * @param {Object} handler
+ * @param {function(Tagname, Object[])} handler.open Called for each element, with the upper case
+ * tag name and the attributes (see {@link createTokenizer}).
+ * @param {function(Tagname)} handler.close Called at the end of each element, also for void
+ * elements.
+ * @param {function(string, boolean)} handler.text Called with the undecoded text, and whether it
+ * is the content of a raw text element (see {@link createTokenizer}).
+ * @param {function(string)} handler.comment Called with the text of the comment.
+ * @param {boolean} [isDocument=false] If false, the HTML is the content of a BODY element, and
+ * `HTML`, `HEAD` and `BODY` tags are ignored. If true, the HTML is the content of an HTML element,
+ * and `HEAD` and `BODY` elements are always created.
+ * @return {{write: function(string), end: function()}}
+ */
+function createTreeBuilder(handler, isDocument = false) {
+  const open = []; // The names of the open elements, outermost first
+  const namespaces = []; // The namespaces of the open elements: `html`, `svg` or `math`
+
+  // For documents: `beforeHead`, `inHead` or `afterHead` until the BODY element is opened.
+  let phase = isDocument ? 'beforeHead' : 'inBody';
+
+  function closeElements(keep) {
+    while (open.length > keep) {
+      namespaces.pop();
+      handler.close(open.pop());
+    }
+  }
+
+  function openElement(name, attributes, namespace = 'html') {
+    handler.open(name, attributes);
+    if (namespace === 'html' && VOID_ELEMENTS.includes(name)) {
+      handler.close(name);
+    } else {
+      open.push(name);
+      namespaces.push(namespace);
+    }
+  }
+
+  function currentNamespace() {
+    return namespaces.length > 0 ? namespaces[namespaces.length - 1] : 'html';
+  }
+
+  // True if a start tag with the name is in foreign content, i.e. the current node is an SVG or
+  // MathML element which is not an integration point.
+  function inForeignContent(name) {
+    const current = open[open.length - 1];
+    switch (currentNamespace()) {
+      case 'svg':
+        return !SVG_INTEGRATION_POINTS.includes(current);
+      case 'math':
+        return !MATHML_INTEGRATION_POINTS.includes(current) || ['MGLYPH', 'MALIGNMARK'].includes(name);
+      default:
+        return false;
+    }
+  }
+
+  function openHead(attributes) {
+    openElement('HEAD', attributes);
+    phase = 'inHead';
+  }
+
+  function openBody(attributes) {
+    if (phase === 'beforeHead') openHead([]);
+    closeElements(0);
+    openElement('BODY', attributes);
+    phase = 'inBody';
+  }
+
+  // Handles a start tag in a document before the BODY element is opened. Returns true if nothing
+  // more is to be done for the start tag.
+  function startTagBeforeBody(name, attributes) {
+    if (name === 'HTML') return true;
+
+    if (name === 'HEAD') {
+      if (phase === 'beforeHead') openHead(attributes);
+      return true;
+    }
+
+    if (HEAD_ELEMENTS.includes(name) && phase !== 'afterHead') {
+      if (phase === 'beforeHead') openHead([]);
+      openElement(name, attributes);
+      return true;
+    }
+
+    openBody(name === 'BODY' ? attributes : []);
+    return name === 'BODY';
+  }
+
+  function startTag(name, attributes, selfClosing = false) {
+    if (inForeignContent(name)) {
+      if (!breaksOutOfForeignContent(name, attributes)) {
+        openElement(name, attributes, namespaceOf(name) || currentNamespace());
+        if (selfClosing) closeElements(open.length - 1);
+        return;
+      }
+      while (inForeignContent(name)) closeElements(open.length - 1);
+    }
+
+    if (phase !== 'inBody' && startTagBeforeBody(name, attributes)) return;
+    if (['HTML', 'HEAD', 'BODY'].includes(name)) return;
+
+    const rules = startTagRules(open, name);
+    if (!rules) return;
+    closeElements(rules.keep);
+    rules.implied.forEach((implied) => openElement(implied, []));
+    openElement(name, attributes, namespaceOf(name) || 'html');
+    if (selfClosing && namespaceOf(name)) closeElements(open.length - 1);
+  }
+
+  function endTag(name) {
+    if (phase !== 'inBody') {
+      if (name === 'HEAD' && phase === 'inHead') {
+        closeElements(0);
+        phase = 'afterHead';
+        return;
+      }
+      if (['BODY', 'HTML', 'BR'].includes(name)) openBody([]);
+    }
+
+    // In foreign content, the end tag closes the innermost SVG or MathML element with the name.
+    for (let i = open.length - 1; i >= 0 && namespaces[i] !== 'html'; i -= 1) {
+      if (open[i] === name) {
+        closeElements(i);
+        return;
+      }
+    }
+
+    if (['HTML', 'HEAD', 'BODY'].includes(name)) return;
+
+    if (name === 'BR') { // `</br>` is treated like `<br>`.
+      startTag(name, []);
+      return;
+    }
+
+    const index = endTagIndex(open, name);
+    if (index !== -1) {
+      closeElements(index);
+    } else if (name === 'P') { // `</p>` without an open P element creates an empty one.
+      startTag(name, []);
+      closeElements(open.length - 1);
+    }
+  }
+
+  function text(str, raw) {
+    if (phase === 'inBody' || open.length > 1) { // in the body, or in an element like TITLE
+      handler.text(str, raw);
+      return;
+    }
+
+    // Other text before the body starts the body. Leading whitespace is kept in the HEAD element,
+    // or dropped if there is none.
+    const whitespace = /^[\t\n\f\r ]*/.exec(str)[0];
+    if (whitespace && open.length === 1) handler.text(whitespace, raw);
+    const rest = str.slice(whitespace.length);
+    if (rest) {
+      openBody([]);
+      handler.text(rest, raw);
+    }
+  }
+
+  function process(token) {
+    switch (token.type) {
+      case 'start':
+        startTag(token.name, token.attributes, token.selfClosing);
+        break;
+      case 'end':
+        endTag(token.name);
+        break;
+      case 'text':
+        text(token.text, token.raw);
+        break;
+      case 'comment':
+        handler.comment(token.text);
+        break;
+      default: // Doctypes are ignored in HTML content.
+    }
+  }
+
+  const tokenizer = createTokenizer(process, () => currentNamespace() !== 'html');
+
+  return {
+    write(chunk) {
+      tokenizer.write(chunk);
+    },
+    end() {
+      tokenizer.end();
+      if (phase !== 'inBody') openBody([]);
+      closeElements(0);
+    },
+  };
+}
+
+export { VOID_ELEMENTS };
+export default createTreeBuilder;
@@ -0,0 +1,223 @@
+import getValuesForTagname from './get-values-for-tagname.js';
+
+/**
+ * Names of attributes which carry a single URL.
+ */
+const URL_ATTRIBUTES = [
+  'action',
+  'background',
+  'cite',
+  'codebase',
+  'data',
+  'dynsrc',
+  'formaction',
+  'href',
+  'icon',
+  'longdesc',
+  'lowsrc',
+  'manifest',
+  'poster',
+  'src',
+  'usemap',
+  'xlink:href',
+];
+
+// Relative URLs are resolved against this base when no `url_base` is given, just to find out if
+// they contain a host (as in `//example.com/path`).
+const PLACEHOLDER_BASE = 'http://relative.invalid/';
+const PLACEHOLDER_HOST = 'relative.invalid';
+
+function matchesSome(regexes, value) {
+  return regexes.some((regex) => regex.test(value));
+}
+
+/**
+ * Checks a single URL against a policy.
+ *
+ * @param {string} value
+ * @param {Object} policy
+ * @return {{value: ?string, option: ?string}} `value` is the accepted URL (absolute if it was
+ * resolved against `policy.base`), or `null` if the URL was rejected. In the latter case, `option`
+ * is the name of the option which caused the rejection.
+ */
+function checkUrl(value, policy) {
+  const reject = (option) => ({ value: null, option });
+
+  let url;
+  let result = value;
+  let relative = false;
+
+  try {
+    url = new URL(value);
+  } catch (e) {
+    relative = true;
+  }
+
+  if (relative && policy.base) {
+    try {
+      url = new URL(value, policy.base);
+    } catch (e) {
+      return reject('url_base');
+    }
+    result = url.href;
+    relative = false;
+  } else if (relative) {
+    if (!policy.allowRelative) return reject('allow_relative_urls');
+    try {
+      url = new URL(value, PLACEHOLDER_BASE);
+    } catch (e) {
+      return reject('allow_relative_urls');
+    }
+    if (url.host === PLACEHOLDER_HOST) return { value, option: null }; // relative, without host
+  }
+
+  // Relative URLs with a host (`//example.com`) inherit the scheme of the document.
+  if (!relative && policy.schemes.length > 0) {
+    const scheme = url.protocol.slice(0, -1); // without the colon
+    if (!matchesSome(policy.schemes, scheme)) return reject('allow_url_schemes_by_tag');
+  }
+
+  const host = url.hostname;
+  if (host) {
+    if (policy.allowHosts.length > 0 && !matchesSome(policy.allowHosts, host)) {
+      return reject('allow_url_hosts_by_tag');
+    }
+    if (matchesSome(policy.blockHosts, host)) return reject('block_url_hosts_by_tag');
+  }
+
+  return { value: result, option: null };
+}
+
+/**
+ * Splits a `srcset` attribute value into image candidates, roughly following the WHATWG parsing
+ * algorithm for srcset attributes.
+ *
+ * @param {string} value
+ * @return {Array.<{url: string, descriptor: string}>}
+ */
+function parseSrcset(value) {
+  const candidates = [];
+  let position = 0;
+
+  while (position < value.length) {
+    // Skip whitespace and commas between candidates.
+    while (position < value.length && /[\s,]/.test(value[position])) position += 1;
+    if (position >= value.length) break;
+
+    let url = '';
+    while (position < value.length && !/\s/.test(value[position])) {
+      url += value[position];
+      position += 1;
+    }
+
+    let descriptor = '';
+    if (/,$/.test(url)) {
+      url = url.replace(/,+$/, '');
+    } else {
+      let parens = 0;
+      while (position < value.length && !(value[position] === ',' && parens === 0)) {
+        if (value[position] === '(') parens += 1;
+        if (value[position] === ')' && parens > 0) parens -= 1;
+        descriptor += value[position];
+        position += 1;
+      }
+    }
+
+    candidates.push({ url, descriptor: descriptor.trim() });
+  }
+
+  return candidates;
+}
+
+// Checks each URL of a list of items, which are objects with a `url` property. `serialize` joins
+// the accepted items back together.
+function checkUrls(items, policy, serialize) {
+  const accepted = [];
+  let option = null;
+  items.forEach((item) => {
+    const checked = checkUrl(item.url, policy);
+    if (checked.value === null) {
+      option = option || checked.option;
+    } else {
+      accepted.push({ ...item, url: checked.value });
+    }
+  });
+  return { value: accepted.length > 0 ? serialize(accepted) : null, option };
+}
+
+function checkSrcset(value, policy) {
+  return checkUrls(parseSrcset(value), policy, (candidates) => candidates
+    .map(({ url, descriptor }) => (descriptor ? `${url} ${descriptor}` : url))
+    .join(', '));
+}
+
+function checkUrlList(value, policy) {
+  const items = value.split(/\s+/).filter((url) => url).map((url) => ({ url }));
+  return checkUrls(items, policy, (urls) => urls.map(({ url }) => url).join(' '));
+}
+
+/**
+ * Applies the URL policy given by the options `allow_url_schemes_by_tag`,
+ * `allow_url_hosts_by_tag`, `block_url_hosts_by_tag`, `allow_relative_urls` and `url_base` to all
+ * URL-bearing attributes of the node. Rejected URLs are removed. For `srcset` and `ping`, only the
+ * rejected candidates are removed, and the attribute is removed when none remain.
+ *
+ * @param {DomNode} node
+ * @param {Object} opts Precompiled options
+ * @return {Object[]} The changes (see `attributes.js`)
+ */
+function filterUrlsForNode(node, opts) {
+  const changes = [];
+  const tagname = node.nodeName;
+  const policy = {
+    schemes: getValuesForTagname(opts.allow_url_schemes_by_tag, tagname, node),
+    allowHosts: getValuesForTagname(opts.allow_url_hosts_by_tag, tagname, node),
+    blockHosts: getValuesForTagname(opts.block_url_hosts_by_tag, tagname, node),
+    allowRelative: opts.allow_relative_urls,
+    base: opts.url_base,
+  };
+
+  const { attributes } = node;
+  const attributeNames = [];
+  for (let i = 0; i < attributes.length; i += 1) attributeNames.push(attributes[i].name);
+
+  attributeNames.forEach((attname) => {
+    const name = attname.toLowerCase();
+    const value = node.getAttribute(attname);
+
+    let checked;
+    if (name === 'srcset') {
+      checked = checkSrcset(value, policy);
+    } else if (name === 'ping') {
+      checked = checkUrlList(value, policy);
+    } else if (URL_ATTRIBUTES.includes(name)) {
+      checked = checkUrl(value, policy);
+    } else {
+      return;
+    }
+
+    if (checked.value === null) {
+      node.removeAttribute(attname);
+      changes.push({
+        action: 'remove_attribute',
+        option: checked.option,
+        rule: null,
+        attribute: attname,
+        value,
+      });
+    } else if (checked.value !== value) {
+      node.setAttribute(attname, checked.value);
+      changes.push({
+        action: 'change_attribute',
+        option: checked.option || 'url_base',
+        rule: null,
+        attribute: attname,
+        value,
+        newValue: checked.value,
+      });
+    }
+  });
+  return changes;
+}
+
+export default filterUrlsForNode;
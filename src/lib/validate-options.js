@@ -0,0 +1,338 @@
+import { isMatcher } from './matchers.js';
+import isPlainObject from './is-plain-object.js';
+import { TEXT_ONLY_ELEMENTS } from './tokenizer.js';
+
+function describe(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'an array';
+  if (value instanceof RegExp) return 'a RegExp';
+  if (typeof value === 'object') return 'an object';
+  if (typeof value === 'undefined') return 'undefined';
+  return `a ${typeof value}`;
+}
+
+// The number of single character insertions, deletions or substitutions to turn `a` into `b`.
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i += 1) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j += 1) {
+      const substitution = previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1);
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, substitution);
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+function checkName(problems, path, value) {
+  if (typeof value !== 'string') {
+    problems.push({ path, message: `Expected a name, got ${describe(value)}` });
+  }
+}
+
+function checkNames(problems, path, value) {
+  value.forEach((name, i) => checkName(problems, `${path}[${i}]`, name));
+}
+
+// Checks a single rule: A regular expression string, a RegExp, an array of names or a matcher.
+function checkRule(problems, path, value) {
+  if (value instanceof RegExp || isMatcher(value)) return;
+  if (Array.isArray(value)) {
+    checkNames(problems, path, value);
+    return;
+  }
+  if (typeof value !== 'string') {
+    const message = 'Expected a rule (a regular expression string, a RegExp, an array of names '
+      + `or a matcher), got ${describe(value)}`;
+    problems.push({ path, message });
+    return;
+  }
+  try {
+    RegExp(value, 'i');
+  } catch (e) {
+    problems.push({ path, message: e.message });
+  }
+}
+
+// Checks a single value or each value of an array.
+function checkOneOrMany(problems, path, value, check) {
+  if (Array.isArray(value)) {
+    value.forEach((item, i) => check(problems, `${path}[${i}]`, item));
+  } else {
+    check(problems, path, value);
+  }
+}
+
+function keyLabel(key) {
+  return typeof key === 'string' || Array.isArray(key) ? JSON.stringify(key) : String(key);
+}
+
+// Checks a spec: An object whose property names are regular expression strings, or a Map whose
+// keys are rules. If `namesAllowed` is true, the spec can also be an array of names.
+function checkSpec(problems, path, value, specName, checkValue, namesAllowed) {
+  if (namesAllowed && Array.isArray(value)) {
+    checkNames(problems, path, value);
+    return;
+  }
+
+  let entries;
+  if (value instanceof Map) {
+    entries = Array.from(value);
+  } else if (isPlainObject(value)) {
+    entries = Object.getOwnPropertyNames(value).map((key) => [key, value[key]]);
+  } else {
+    problems.push({ path, message: `Expected an object (${specName}), got ${describe(value)}` });
+    return;
+  }
+  entries.forEach(([key, keyValue]) => {
+    const keyPath = `${path}[${keyLabel(key)}]`;
+    checkRule(problems, keyPath, key);
+    checkValue(problems, keyPath, keyValue);
+  });
+}
+
+function checkRules(problems, path, value) {
+  checkOneOrMany(problems, path, value, checkRule);
+}
+
+function checkTagnames(problems, path, value) {
+  checkOneOrMany(problems, path, value, checkName);
+}
+
+function checkFunction(problems, path, value) {
+  if (typeof value !== 'function') {
+    problems.push({ path, message: `Expected a function, got ${describe(value)}` });
+  }
+}
+
+function checkValueRule(problems, path, value) {
+  if (typeof value !== 'function') checkRule(problems, path, value);
+}
+
+const checkBoolean = (problems, path, value) => {
+  if (typeof value !== 'boolean') {
+    problems.push({ path, message: `Expected a boolean, got ${describe(value)}` });
+  }
+};
+
+const spec = (specName, checkValue, namesAllowed = false) => (problems, path, value) => (
+  checkSpec(problems, path, value, specName, checkValue, namesAllowed)
+);
+
+const tagSpec = (specName) => spec(specName, checkRules, true);
+
+const checkAttributeValueRules = spec(
+  'attribute names and value rules',
+  (problems, path, value) => checkOneOrMany(problems, path, value, checkValueRule),
+);
+
+function checkTransformers(problems, path, value) {
+  if (!isPlainObject(value)) {
+    const message = `Expected an object (attribute names and transformers), got ${describe(value)}`;
+    problems.push({ path, message });
+    return;
+  }
+  Object.getOwnPropertyNames(value).forEach((name) => {
+    const namePath = `${path}[${JSON.stringify(name)}]`;
+    if (!/^[^\s"'>/=]+$/.test(name)) {
+      problems.push({ path: namePath, message: `Invalid attribute name '${name}'` });
+    }
+    checkOneOrMany(problems, namePath, value[name], checkFunction);
+  });
+}
+
+// Creating an element whose content is text, like STYLE or TEXTAREA, would let escaped text, or the
+// value of an attribute of a child element, become markup (or script). `purpose` is used in the
+// message, e.g. `rename to`.
+const newTagname = (purpose) => (problems, path, value) => {
+  if (typeof value !== 'string' || !/^[a-z][a-z0-9-]*$/i.test(value)) {
+    const got = typeof value === 'string' ? `'${value}'` : describe(value);
+    problems.push({ path, message: `Expected a tag name, got ${got}` });
+  } else if (TEXT_ONLY_ELEMENTS.includes(value.toUpperCase())) {
+    const message = `Can't ${purpose} the raw text element ${value.toUpperCase()}`;
+    problems.push({ path, message });
+  }
+};
+
+const checkRenames = spec('tag name rules and new tag names', newTagname('rename to'));
+
+// Checks an object option with a fixed set of keys, each with its own check. `expected` describes
+// the other allowed values, like `null`, if any.
+function checkSettings(problems, path, value, settingsSchema, expected = null) {
+  if (!isPlainObject(value)) {
+    const message = `Expected an object${expected ? ` or ${expected}` : ''}, got ${describe(value)}`;
+    problems.push({ path, message });
+    return;
+  }
+  Object.keys(value).forEach((key) => {
+    const keyPath = `${path}.${key}`;
+    if (!Object.prototype.hasOwnProperty.call(settingsSchema, key)) {
+      problems.push({ path: keyPath, message: `Unknown option '${key}'` });
+    } else if (value[key] !== undefined && value[key] !== null) {
+      settingsSchema[key](problems, keyPath, value[key]);
+    }
+  });
+}
+
+// The properties of `allow_styles_by_tag` can also be given as rules, which allow any value.
+function checkStyleRules(problems, path, value) {
+  if (isPlainObject(value) || value instanceof Map) {
+    checkAttributeValueRules(problems, path, value);
+  } else {
+    checkRules(problems, path, value);
+  }
+}
+
+const normalizeSchema = {
+  unnest_blocks: checkBoolean,
+  wrap_list_items: newTagname('wrap in'),
+  wrap_inline: newTagname('wrap in'),
+  merge_text: checkBoolean,
+};
+
+const joinSchema = {
+  same_attributes: checkBoolean,
+  separator: newTagname('join with'),
+};
+
+const removeEmptySchema = {
+  whitespace: checkBoolean,
+  br: checkBoolean,
+};
+
+const checkFilters = spec('FilterSpec', (problems, path, value) => (
+  checkOneOrMany(problems, path, value, checkFunction)
+));
+
+const schema = {
+  filters_by_tag: checkFilters,
+  exit_filters_by_tag: checkFilters,
+  filter_concurrency: (problems, path, value) => {
+    if (!Number.isInteger(value) || value < 1) {
+      const got = typeof value === 'number' ? value : describe(value);
+      problems.push({ path, message: `Expected a positive integer, got ${got}` });
+    }
+  },
+  rename_tags_direct: spec('TagRenameSpec', checkRenames),
+  rename_tags_deep: spec('TagRenameSpec', checkRenames),
+  remove_tags_direct: tagSpec('ParentChildSpec'),
+  remove_tags_deep: tagSpec('ParentChildSpec'),
+  flatten_tags_direct: tagSpec('ParentChildSpec'),
+  flatten_tags_deep: tagSpec('ParentChildSpec'),
+  allow_tags_direct: tagSpec('ParentChildSpec'),
+  allow_tags_deep: tagSpec('ParentChildSpec'),
+  keep_comments: checkBoolean,
+  allow_attributes_by_tag: tagSpec('TagAttributeNameSpec'),
+  remove_attributes_by_tag: tagSpec('TagAttributeNameSpec'),
+  allow_attribute_values_by_tag: spec('TagAttributeValueSpec', checkAttributeValueRules),
+  transform_attributes_by_tag: spec('TagAttributeTransformSpec', checkTransformers),
+  allow_classes_by_tag: tagSpec('TagClassNameSpec'),
+  allow_styles_by_tag: spec('TagStyleSpec', checkStyleRules),
+  allow_url_schemes_by_tag: tagSpec('TagUrlSchemeSpec'),
+  allow_url_hosts_by_tag: tagSpec('TagUrlHostSpec'),
+  block_url_hosts_by_tag: tagSpec('TagUrlHostSpec'),
+  allow_relative_urls: checkBoolean,
+  url_base: (problems, path, value) => {
+    if (value === null) return;
+    if (typeof value !== 'string') {
+      problems.push({ path, message: `Expected a string or null, got ${describe(value)}` });
+      return;
+    }
+    try {
+      new URL(value); // eslint-disable-line no-new
+    } catch (e) {
+      problems.push({ path, message: `Expected an absolute URL, got '${value}'` });
+    }
+  },
+  normalize: (problems, path, value) => {
+    if (value !== null) checkSettings(problems, path, value, normalizeSchema, 'null');
+  },
+  collapse_whitespace: checkBoolean,
+  remove_invisible_characters: checkBoolean,
+  trim_blocks: checkBoolean,
+  remove_empty: (problems, path, value) => {
+    if (typeof value !== 'boolean') {
+      checkSettings(problems, path, value, removeEmptySchema, 'a boolean');
+    }
+  },
+  join_siblings: (problems, path, value) => {
+    if (typeof value === 'string' || Array.isArray(value)) {
+      checkTagnames(problems, path, value);
+    } else {
+      checkSpec(problems, path, value, 'JoinSpec', (settingsProblems, settingsPath, settings) => (
+        checkSettings(settingsProblems, settingsPath, settings, joinSchema)
+      ));
+    }
+  },
+  allowed_empty_tags: (problems, path, value) => {
+    if (typeof value !== 'string') tagSpec('ParentChildSpec')(problems, path, value);
+  },
+  report: (problems, path, value) => {
+    if (value !== null && !Array.isArray(value)) {
+      problems.push({ path, message: `Expected an array or null, got ${describe(value)}` });
+    }
+  },
+  dry_run: checkBoolean,
+};
+
+const knownOptions = Object.keys(schema);
+
+function suggestion(key) {
+  let best = null;
+  let bestDistance = Math.max(2, Math.floor(key.length / 4));
+  knownOptions.forEach((option) => {
+    const distance = editDistance(key, option);
+    if (distance <= bestDistance) {
+      best = option;
+      bestDistance = distance;
+    }
+  });
+  return best;
+}
+
+/**
+ * Checks options for unknown keys, values of the wrong shape and invalid regular expressions.
+ * Options which are `undefined` are ignored, like by the sanitizer.
+ *
+ * @param {Object} options
+ * @return {OptionProblem[]} The problems found, in the order of the option keys. The array is
+ * empty if the options are valid.
+ * @example
+ * validateOptions({ allow_tag_deep: { '.*': '^P$' }, flatten_tags_deep: { '.*': ['(B'] } });
+ * // [
+ * //   {
+ * //     path: 'allow_tag_deep',
+ * //     message: "Unknown option 'allow_tag_deep' (did you mean 'allow_tags_deep'?)",
+ * //   },
+ * //   {
+ * //     path: 'flatten_tags_deep[".*"][0]',
+ * //     message: 'Invalid regular expression: /(B/i: Unterminated group',
+ * //   },
+ * // ]
+ */
+function validateOptions(options) {
+  const problems = [];
+  if (!isPlainObject(options)) {
+    problems.push({ path: '', message: `Expected an object, got ${describe(options)}` });
+    return problems;
+  }
+
+  Object.keys(options).forEach((key) => {
+    const value = options[key];
+    if (value === undefined) return;
+
+    if (!Object.prototype.hasOwnProperty.call(schema, key)) {
+      const similar = suggestion(key);
+      problems.push({
+        path: key,
+        message: `Unknown option '${key}'${similar ? ` (did you mean '${similar}'?)` : ''}`,
+      });
+      return;
+    }
+    schema[key](problems, key, value);
+  });
+  return problems;
+}
+
+export default validateOptions;
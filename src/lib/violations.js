@@ -0,0 +1,98 @@
+import precompileOptions from './options.js';
+
+// True if any allow_tags_* rule allows the tag name, no matter in which parent.
+function isAllowedAnywhere(opts, tagname) {
+  let allowed = false;
+  ['allow_tags_direct', 'allow_tags_deep'].forEach((key) => {
+    opts[key].forEach((regexes) => {
+      if (regexes.some((rule) => rule.test(tagname))) allowed = true;
+    });
+  });
+  return allowed;
+}
+
+function parentOf(path) {
+  const segments = path.split(' > ');
+  return segments.length > 1 ? segments[segments.length - 2].replace(/:.*$/, '') : null;
+}
+
+/**
+ * Converts the report entries of a dry run into violations.
+ *
+ * @param {ReportEntry[]} actions
+ * @param {Object} options The options which were used for the dry run
+ * @return {Violation[]}
+ */
+function violationsFromActions(actions, options) {
+  const opts = precompileOptions(options);
+
+  // Transformers, renames, text cleanups and URLs resolved against `url_base` normalize valid
+  // content, so their changes are not violations.
+  const violations = actions.filter(({ action, option }) => (
+    !['rename', 'change_text'].includes(action)
+    && option !== 'transform_attributes_by_tag'
+    && !(action === 'change_attribute' && option === 'url_base')
+  ));
+
+  return violations.map((action) => {
+    const {
+      path,
+      tagname,
+      attribute,
+      class: classname,
+    } = action;
+    const parent = parentOf(path);
+
+    let type;
+    let message;
+    switch (action.action) {
+      case 'remove':
+      case 'flatten':
+        if (action.option === 'remove_empty') {
+          type = 'empty';
+          message = `Empty ${tagname} is not allowed`;
+        } else if (parent && isAllowedAnywhere(opts, tagname)) {
+          type = 'nesting';
+          message = `${tagname} is not allowed in ${parent}`;
+        } else {
+          type = 'tag';
+          message = `${tagname} is not allowed`;
+        }
+        break;
+      case 'remove_attribute':
+      case 'change_attribute':
+        type = 'attribute';
+        if (['allow_attributes_by_tag', 'remove_attributes_by_tag'].includes(action.option)) {
+          message = `Attribute ${attribute} of ${tagname} is not allowed`;
+        } else {
+          message = `Value of attribute ${attribute} of ${tagname} is not allowed`;
+        }
+        break;
+      case 'remove_class':
+        type = 'class';
+        message = `Class ${classname} of ${tagname} is not allowed`;
+        break;
+      case 'remove_style':
+      case 'change_style':
+        type = 'style';
+        message = `Style ${action.property} of ${tagname} is not allowed`;
+        break;
+      case 'wrap':
+        type = 'structure';
+        message = `${tagname} must be wrapped in ${action.wrapper}`;
+        break;
+      default: // join (filters, which could replace nodes, are not run)
+        type = 'join';
+        message = `Adjacent ${tagname} nodes must be joined`;
+    }
+
+    return {
+      ...action,
+      type,
+      parent,
+      message: `${message} (at ${path})`,
+    };
+  });
+}
+
+export default violationsFromActions;
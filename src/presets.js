@@ -0,0 +1,169 @@
+/*
+sanitize-dom - Recursive sanitizer/filter for WHATWG DOMs.
+
+Copyright 2020 Michael Karl Franzl
+
+Permission is hereby granted, free of charge, to any person obtaining a copy of this software and
+associated documentation files (the "Software"), to deal in the Software without restriction,
+including without limitation the rights to use, copy, modify, merge, publish, distribute,
+sublicense, and/or sell copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in all copies or substantial
+portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING BUT
+NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND
+NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES
+OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN
+CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+*/
+
+import mergeOptions from './lib/merge-options.js';
+
+function deepFreeze(object) {
+  Object.getOwnPropertyNames(object).forEach((key) => {
+    const value = object[key];
+    if (value && typeof value === 'object') deepFreeze(value);
+  });
+  return Object.freeze(object);
+}
+
+/**
+ * Options which make the output safe for inclusion into a web page, no matter which tags,
+ * attributes and classes are allowed by other options:
+ *
+ * * Nodes which can execute code or load remote content, or whose content is not meant to be
+ *   displayed (like `SCRIPT`, `STYLE`, `IFRAME`, `OBJECT`, `SVG` or `TEXTAREA`), are removed
+ *   together with their content.
+ * * All event handler attributes (`on*`) and `srcdoc` attributes are removed.
+ * * All declarations of `style` attributes are removed, unless they are allowed by an
+ *   `allow_styles_by_tag` rule which is merged into this preset. Declarations which could load
+ *   remote content or run code are always removed.
+ * * URL-bearing attributes may only contain `http`, `https`, `mailto` and `tel` URLs, or relative
+ *   URLs.
+ *
+ * This preset does not allow any tags by itself. Combine it with your own `allow_*` options, or
+ * use one of the other presets, which are all based on this one.
+ *
+ * @example
+ * sanitizeHtml(document, html, mergeOptions(presets.safe, {
+ *   allow_tags_deep: { '.*': ['^(P|B|I|A)$'] },
+ *   allow_attributes_by_tag: { '^A$': ['^href$'] },
+ * }));
+ */
+const safe = deepFreeze({
+  remove_tags_deep: {
+    '.*': [
+      '^(SCRIPT|STYLE|NOSCRIPT|TEMPLATE|TEXTAREA|TITLE|XMP|PLAINTEXT)$',
+      '^(IFRAME|FRAME|FRAMESET|NOFRAMES|OBJECT|EMBED|NOEMBED|APPLET)$',
+      '^(BASE|LINK|META)$',
+      '^(SVG|MATH)$',
+    ],
+  },
+  remove_attributes_by_tag: {
+    '.*': ['^on', '^srcdoc$'],
+  },
+  allow_styles_by_tag: {
+    '.*': {}, // style attributes are filtered, allowing nothing by default
+  },
+  allow_url_schemes_by_tag: {
+    '.*': ['^(https?|mailto|tel)$'],
+  },
+});
+
+/**
+ * Based on {@link safe}. Keeps paragraphs, line breaks and basic inline formatting (bold, italic,
+ * underline, strike-through, subscript and superscript) without any attributes. Everything else is
+ * flattened.
+ */
+const basicFormatting = deepFreeze(mergeOptions(safe, {
+  allow_tags_deep: {
+    '.*': ['^(P|BR)$', '^(B|STRONG|I|EM|U|S|STRIKE|DEL|INS|SUB|SUP)$'],
+  },
+}));
+
+/**
+ * Based on {@link basicFormatting}. Additionally keeps headings, lists, quotes, code, links,
+ * images, tables and figures, with the attributes which are needed to display them. Numeric
+ * attributes must be numeric.
+ */
+const richText = deepFreeze(mergeOptions(basicFormatting, {
+  allow_tags_deep: {
+    '.*': [
+      '^(H[1-6]|HR|BLOCKQUOTE|PRE|CODE|KBD|SAMP|MARK|SMALL|ABBR|Q|CITE)$',
+      '^(UL|OL|LI|DL|DT|DD)$',
+      '^(A|IMG|FIGURE|FIGCAPTION)$',
+      '^(TABLE|CAPTION|THEAD|TBODY|TFOOT|TR|TH|TD|COLGROUP|COL)$',
+    ],
+  },
+  allow_attributes_by_tag: {
+    '^A$': ['^(href|title)$'],
+    '^IMG$': ['^(src|srcset|alt|title|width|height)$'],
+    '^(ABBR|Q)$': ['^title$'],
+    '^OL$': ['^(start|reversed)$'],
+    '^(TH|TD)$': ['^(colspan|rowspan)$'],
+    '^TH$': ['^scope$'],
+    '^(COLGROUP|COL)$': ['^span$'],
+  },
+  allow_attribute_values_by_tag: {
+    '.*': {
+      '^(width|height|start|colspan|rowspan|span)$': '^[0-9]+$',
+    },
+  },
+}));
+
+/**
+ * Based on {@link richText}. Additionally keeps the legacy layout tags and attributes which are
+ * common in HTML email (like `FONT`, `CENTER`, `bgcolor` or `cellpadding`). Images must be loaded
+ * from absolute `https` URLs, and `srcset` is removed.
+ */
+const email = deepFreeze(mergeOptions(richText, {
+  allow_tags_deep: {
+    '.*': ['^(DIV|SPAN|CENTER|FONT)$'],
+  },
+  allow_attributes_by_tag: {
+    '^FONT$': ['^(color|face|size)$'],
+    '^(TABLE|TR|TH|TD|DIV|P|H[1-6]|IMG)$': ['^align$'],
+    '^(TABLE|TR|TH|TD)$': ['^(bgcolor|valign)$'],
+    '^(TABLE|TH|TD)$': ['^(width|height)$'],
+    '^TABLE$': ['^(border|cellpadding|cellspacing)$'],
+  },
+  allow_attribute_values_by_tag: {
+    '.*': {
+      '^(border|cellpadding|cellspacing)$': '^[0-9]+$',
+      '^(width|height)$': '^[0-9]+%$',
+      '^(align|valign)$': '^(left|right|center|justify|top|middle|bottom|baseline)$',
+    },
+    '^IMG$': {
+      '^src$': '^https://',
+    },
+  },
+  remove_attributes_by_tag: {
+    '^IMG$': ['^srcset$'],
+  },
+}));
+
+/**
+ * Based on {@link basicFormatting}. Keeps what is typically allowed in user comments: paragraphs,
+ * line breaks, basic inline formatting, quotes, code, lists and absolute links. Empty nodes are
+ * removed.
+ */
+const comments = deepFreeze(mergeOptions(basicFormatting, {
+  allow_tags_deep: {
+    '.*': ['^(BLOCKQUOTE|PRE|CODE)$', '^(UL|OL|LI)$', '^A$'],
+  },
+  allow_attributes_by_tag: {
+    '^A$': ['^href$'],
+  },
+  allow_relative_urls: false,
+  remove_empty: true,
+}));
+
+export {
+  safe,
+  basicFormatting,
+  richText,
+  email,
+  comments,
+};
@@ -26,9 +26,47 @@ CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
 import childrenSnapshot from './lib/children-snapshot.js';
 import joinSiblings from './lib/join-siblings.js';
 import getValuesForTagname from './lib/get-values-for-tagname.js';
-import matchesAny from './lib/matches-any.js';
+import findMatchingTagRule, { findRenameRule } from './lib/find-tag-rule.js';
+import findMatchingRule from './lib/find-matching-rule.js';
+import nodePath from './lib/node-path.js';
+import tagnameOf from './lib/tagname.js';
+import { endsCommentEarly } from './lib/serialize.js';
+import { TEXT_ONLY_ELEMENTS } from './lib/tokenizer.js';
+import cloneTree from './lib/clone-tree.js';
+import isEmpty from './lib/is-empty.js';
+import normalizeStructure from './lib/normalize.js';
+import {
+  removeInvisibleCharacters,
+  collapseWhitespace,
+  cleanTextNodes,
+  isPreformatted,
+} from './lib/text.js';
 import precompileOptions from './lib/options.js';
-import { filterAttributesForNode, filterClassesForNode } from './lib/attributes.js';
+import {
+  isThenable,
+  then,
+  forEachInOrder,
+  mapLimited,
+  syncValue,
+} from './lib/maybe-async.js';
+import filterUrlsForNode from './lib/urls.js';
+import {
+  filterAttributesForNode,
+  filterAttributeValuesForNode,
+  filterClassesForNode,
+  filterStylesForNode,
+  transformAttributesForNode,
+} from './lib/attributes.js';
+
+// Comments, CDATA sections and processing instructions
+const COMMENT_NODE_TYPES = [8, 4, 7];
+
+// True if the serialized node would end early (like a comment containing `-->`), so that the rest
+// of it would be parsed as markup.
+function endsEarly(node) {
+  if (node.nodeType === 8) return endsCommentEarly(node.data);
+  return node.nodeType === 7 && node.data.includes('>');
+}
 
 /**
  * Implements the WHATWG DOM Document interface.
@@ -54,13 +92,16 @@ import { filterAttributesForNode, filterClassesForNode } from './lib/attributes.
  * Node tag name.
  *
  * Even though in the WHATWG DOM text nodes (nodeType 3) have a tag name `#text`,
- * these are referred to by the simpler string 'TEXT' for convenience.
+ * these are referred to by the simpler string 'TEXT' for convenience. Likewise, comments are
+ * referred to as 'COMMENT', CDATA sections as 'CDATA' and processing instructions as
+ * 'PROCESSING_INSTRUCTION'.
  *
  * @typedef {string} Tagname
  * @example
  * 'DIV'
  * 'H1'
  * 'TEXT'
+ * 'COMMENT'
  */
 
 /**
@@ -75,6 +116,31 @@ import { filterAttributesForNode, filterClassesForNode } from './lib/attributes.
  * 'P'            // matches P and SPAN
  * '^P$'          // matches P but not SPAN
  * 'TEXT'         // matches text nodes (nodeType 3)
+ * '^COMMENT$'    // matches comments (nodeType 8)
+ * 'A'            // matches A, but also TABLE and CDATA sections: anchor it like '^A$'
+ */
+
+/**
+ * A rule, wherever a {@link Regex} is accepted: A {@link Regex} string, a `RegExp` (used with its
+ * own flags), an array of names which must match exactly (ignoring case), or a {@link Matcher}.
+ *
+ * Object property names can only be {@link Regex} strings. To use other rules as keys, pass the
+ * spec as a `Map` instead of an object. A spec matching tag names (like a {@link ParentChildSpec})
+ * can also be an array of names, which is short for these exact names within or for any tag.
+ *
+ * @typedef {(Regex|RegExp|string[]|Matcher)} Rule
+ * @example
+ * /^h[1-3]$/i                        // matches H1, H2 and H3
+ * ['P', 'B']                         // matches P and B, but not PRE or BR
+ * selector('ul > li')                // matches LI elements in UL elements
+ * allow_tags_deep: ['P', 'B']        // allows P and B anywhere
+ * allow_tags_direct: new Map([[['UL', 'OL'], '^LI$']]) // allows LI in UL and OL
+ */
+
+/**
+ * A rule created by {@link exact} or {@link selector}. It has a method `test(name, node)`.
+ *
+ * @typedef {Object} Matcher
  */
 
 /**
@@ -89,6 +155,18 @@ import { filterAttributesForNode, filterClassesForNode } from './lib/attributes.
  * }
  */
 
+/**
+ * Like a {@link ParentChildSpec}, but the values are objects whose property names are matched
+ * against the current nodes {@link Tagname}. Their values are the new tag names.
+ *
+ * @typedef {Object.<Regex, Object.<Regex, Tagname>>} TagRenameSpec
+ * @example
+ * {
+ *   '.*': { '^B$': 'STRONG', '^I$': 'EM', '^FONT$': 'SPAN' },
+ *   '^LI$': { '^DIV$': 'P' }, // DIV within LI
+ * }
+ */
+
 /**
  * Property names are matched against the current nodes {@link Tagname}. Associated values are
  * used to match its attribute names.
@@ -101,6 +179,126 @@ import { filterAttributesForNode, filterClassesForNode } from './lib/attributes.
  * }
  */
 
+/**
+ * Property names are matched against the current nodes {@link Tagname}. Associated values are
+ * objects whose property names are used to match its attribute names. The values of these objects
+ * are one or more {@link Regex}es or {@link attributeValidator}s, which are run in order on the
+ * attribute value. The first regular expression which matches, or the first validator which
+ * accepts the value, keeps the attribute. If none does, the attribute is removed.
+ *
+ * @typedef {Object.<Regex, Object.<Regex, (Regex|attributeValidator)>>} TagAttributeValueSpec
+ * @example
+ * {
+ *   A: { href: '^(https?:|mailto:|#)' }, // keeps only http(s), mailto and fragment links
+ *   IMG: {
+ *     width: '^[0-9]+$',
+ *     src: (value) => value.startsWith('https://'), // keeps only https images
+ *   },
+ * }
+ */
+
+/**
+ * Validates and optionally rewrites an attribute value.
+ *
+ * @callback attributeValidator
+ * @param {string} value The attribute value
+ * @param {Object} opts
+ * @param {DomNode} opts.node The node carrying the attribute
+ * @param {string} opts.attribute The attribute name
+ * @returns {(boolean|string)} `true` keeps the value, a string replaces the value, anything else
+ * rejects the value.
+ */
+
+/**
+ * Property names are matched against the current nodes {@link Tagname}. Associated values are
+ * objects whose property names are attribute names (not {@link Regex}es, because transformers can
+ * add attributes). The values of these objects are one or more {@link attributeTransformer}s,
+ * which are run in order, each with the result of the previous one.
+ *
+ * @typedef {Object.<Regex, Object.<string, (attributeTransformer|attributeTransformer[])>>}
+ * TagAttributeTransformSpec
+ * @example
+ * {
+ *   A: { rel: transforms.addTokens('noopener', 'noreferrer') },
+ *   IMG: { width: transforms.clampNumber(1, 800), height: transforms.clampNumber(1, 600) },
+ *   '.*': { lang: (value) => value && value.toLowerCase() },
+ * }
+ */
+
+/**
+ * Property names are matched against the current nodes {@link Tagname}. Associated values are
+ * objects whose property names are matched against the CSS property names of the declarations in
+ * its `style` attribute. Their values are one or more {@link Regex}es or
+ * {@link attributeValidator}s for the CSS value, like in a {@link TagAttributeValueSpec}. Instead
+ * of an object, a CSS property {@link Regex} or an array of them allows any value.
+ *
+ * Declarations which could load remote content or run code (containing `url(`, `expression(`,
+ * `image-set(`, escapes etc.) are always removed.
+ *
+ * @typedef {Object.<Regex, (Object.<Regex, (Regex|attributeValidator)>|Regex[])>} TagStyleSpec
+ * @example
+ * {
+ *   '^(P|H[1-6])$': { '^text-align$': '^(left|right|center|justify)$' },
+ *   '.*': ['^(color|background-color)$', '^font-(weight|style)$'],
+ * }
+ */
+
+/**
+ * Computes the new value of an attribute. See {@link transforms} for ready-made transformers.
+ *
+ * @callback attributeTransformer
+ * @param {?string} value The attribute value, or `null` if the node has no such attribute
+ * @param {Object} opts
+ * @param {DomNode} opts.node The node carrying the attribute
+ * @param {string} opts.attribute The attribute name
+ * @returns {(?string|undefined)} The new value, or `null` to remove the attribute. `undefined`
+ * leaves the attribute as it is.
+ */
+
+/**
+ * URL-bearing attributes are `action`, `background`, `cite`, `codebase`, `data`, `dynsrc`,
+ * `formaction`, `href`, `icon`, `longdesc`, `lowsrc`, `manifest`, `poster`, `src`, `usemap` and
+ * `xlink:href`, as well as the lists `srcset` (each image candidate is checked) and `ping` (each
+ * space-separated URL is checked).
+ *
+ * The values are parsed with the WHATWG `URL` parser, which also takes care of obfuscations like
+ * `java&#x09;script:`. Rejected URLs are removed. A `srcset` or `ping` attribute is only removed
+ * when none of its URLs is accepted.
+ *
+ * @typedef {Object} UrlPolicy
+ * @example
+ * {
+ *   allow_url_schemes_by_tag: { '.*': ['^(https?|mailto)$'] },
+ *   allow_url_hosts_by_tag: { IMG: ['(^|\\.)example\\.com$'] },
+ *   block_url_hosts_by_tag: { A: ['^tracker\\.example$'] },
+ *   allow_relative_urls: true,
+ *   url_base: 'https://example.com/articles/',
+ * }
+ */
+
+/**
+ * Property names are matched against the current nodes {@link Tagname}. Associated values are
+ * matched against the scheme (without the trailing colon) of absolute URLs.
+ *
+ * @typedef {Object.<Regex, Regex[]>} TagUrlSchemeSpec
+ * @example
+ * {
+ *   A: ['^(https?|mailto)$'], // allows http, https and mailto links
+ *   IMG: ['^https$'], // allows only https images
+ * }
+ */
+
+/**
+ * Property names are matched against the current nodes {@link Tagname}. Associated values are
+ * matched against the host name of URLs.
+ *
+ * @typedef {Object.<Regex, Regex[]>} TagUrlHostSpec
+ * @example
+ * {
+ *   IMG: ['(^|\\.)example\\.com$'], // matches example.com and all its subdomains
+ * }
+ */
+
 /**
  * Property names are matched against the current nodes {@link Tagname}. Associated values are used
  * to match its class names.
@@ -113,6 +311,23 @@ import { filterAttributesForNode, filterClassesForNode } from './lib/attributes.
  */
 
 
+/**
+ * Property names are matched against the {@link Tagname}s of sibling nodes. Associated values are
+ * the settings for joining them. The settings of the first matching property are used.
+ *
+ * @typedef {Object.<Regex, Object>} JoinSpec
+ * @property {boolean} [same_attributes=true] Only join siblings with the same attributes (in any
+ * order) and the same classes (in any order).
+ * @property {?Tagname} [separator=null] A new element with this tag name is inserted between the
+ * joined contents.
+ * @example
+ * {
+ *   '^P$': { separator: 'BR' }, // <p>a</p><p>b</p> becomes <p>a<br>b</p>
+ *   '^(B|I)$': { same_attributes: false },
+ * }
+ */
+
+
 /**
  * Property names are matched against node {@link Tagname}s. Associated values
  * are the {@link filter}s which are run on the node.
@@ -129,6 +344,10 @@ import { filterAttributesForNode, filterClassesForNode } from './lib/attributes.
  * replaced with the new node(s),
  * 3. return `null`, in which case `node` is removed.
  *
+ * The helpers of the second argument (`remove`, `flatten`, `skip` and `rename`) make their change
+ * right away, and return the value which the filter should return when it is applied to `node`
+ * itself, e.g. `return flatten(node);`. They can also be used on the descendants of `node`.
+ *
  * Note that newly generated {@link DomNode}(s) are processed by running {@link sanitizeDom}
  * on them, as if they had been part of the original tree. This has the following implication:
  *
@@ -147,249 +366,548 @@ import { filterAttributesForNode, filterClassesForNode } from './lib/attributes.
  * @param {DomNode[]} opts.parents The parent nodes of `node`.
  * @param {Tagname[]} opts.parentNodenames The tag names of the parent nodes
  * @param {Integer} opts.siblingIndex The number of the current node amongst its siblings
- * @returns {(DomNode|DomNode[]|null)}
+ * @param {DomDocument} opts.doc The document, e.g. to create new nodes
+ * @param {Object} opts.options The precompiled options (see {@link sanitizeDom})
+ * @param {Integer} opts.depth The number of parents, including the node at the root of the
+ * sanitized tree
+ * @param {string} opts.path The position of the node, e.g. `BODY > DIV:nth-child(2) > B` (see
+ * {@link ReportEntry})
+ * @param {WeakMap.<DomNode, Object>} opts.nodePropertyMap The node properties, e.g. to set
+ * `skip_filters` on a new node
+ * @param {function(DomNode): null} opts.remove Removes a node. Returns `null`.
+ * @param {function(DomNode): DomNode[]} opts.flatten Replaces a node with its child nodes, which
+ * are then sanitized like the other nodes (their filters are called, too). Returns the child
+ * nodes.
+ * @param {function(DomNode): DomNode} opts.skip Keeps a node as it is, without sanitizing it or its
+ * descendants, and without calling more filters on it. Returns the node.
+ * @param {function(DomNode, Tagname): DomNode} opts.rename Replaces a node with a new element with
+ * the given tag name, and the same attributes and child nodes. The new element is then sanitized.
+ * Returns the new element.
+ * @returns {(DomNode|DomNode[]|null|Promise)} A Promise for one of the other results is only
+ * allowed with the async functions, like {@link sanitizeHtmlAsync}.
  */
 
 
 /**
- * This function is not exported: Please use the wrapper functions instead:
- *
- * {@link sanitizeHtml}, {@link sanitizeNode}, and {@link sanitizeChildNodes}.
- *
- * Recursively processes a tree with `node` at the root.
- *
- * In all descriptions, the term "flatten" means that a node is replaced with the node's childNodes.
- * For example, if the B node in `<i>abc<b>def<u>ghi</u></b></i>` is flattened, the result is
- * `<i>abcdef<u>ghi</u></i>`.
+ * Describes a change made by {@link sanitizeDom}. See the option `report`.
  *
- * Each node is processed in the following sequence:
- *
- * 1. Filters matching the `opts.filters_by_tag` spec are called. If the filter returns `null`, the
- *    node is removed and processing stops (see {@link filter}s).
- * 2. If the `opts.remove_tags_*` spec matches, the node is removed and processing stops.
- * 3. If the `opts.flatten_tags_*` spec matches, the node is flattened and processing stops.
- * 4. If the `opts.allow_tags_*` spec matches:
- *     * All attributes not matching `opts.allow_attributes_by_tag` are removed.
- *     * All class names not matching `opts.allow_classes_by_tag` are removed.
- *     * The node is kept and processing stops.
- * 5. The node is flattened.
- *
- * @param {DomDocument} doc The document
- * @param {DomNode} contextNode - The root node
- * @param {Object} [opts={}] - Options for processing.
- * @param {FilterSpec} [opts.filters_by_tag={}] - Matching filters are called with the node.
- * @param {ParentChildSpec} [opts.remove_tags_direct={}] - Matching nodes which are a direct child
- * of the matching parent node are removed.
- * @param {ParentChildSpec} [opts.remove_tags_deep={'.*': ['style','script','textarea','noscript']}]
- * Matching nodes which are anywhere below the matching parent node are removed.
- * @param {ParentChildSpec} [opts.flatten_tags_direct={}] - Matching nodes which are a direct child
- * of the matching parent node are flattened.
- * @param {ParentChildSpec} [opts.flatten_tags_deep={}] - Matching nodes which are anywhere below
- * the matching parent node are flattened.
- * @param {ParentChildSpec} [opts.allow_tags_direct={}] - Matching nodes which are a direct child of
- * the matching parent node are kept.
- * @param {ParentChildSpec} [opts.allow_tags_deep={}] - Matching nodes which are anywhere below the
- * matching parent node are kept.
- * @param {TagAttributeNameSpec} [opts.allow_attributes_by_tag={}] - Matching attribute names of a
- * matching node are kept. Other attributes are removed.
- * @param {TagClassNameSpec} [opts.allow_classes_by_tag={}] - Matching class names of a matching
- * node are kept. Other class names are removed. If no class names are remaining, the class
- * attribute is removed.
- * @param {boolean} [opts.remove_empty=false] Remove nodes which are completely empty
- * @param {Tagname[]} [opts.join_siblings=[]] Join same-tag sibling nodes of given tag names, unless
- * they are separated by non-whitespace textNodes.
- * @param {Bool} [childrenOnly=false] - If false, then the node itself and its descendants are
- * processed recursively. If true, then only the children and its descendants are processed
- * recursively, but not the node itself (use when `node` is `BODY` or `DocumentFragment`).
- * @param {WeakMap.<DomNode, Object>} [nodePropertyMap=new WeakMap()] - Additional properties for a
- * {@link DomNode} can be stored in an object and will be looked up in this map. The properties of
- * the object and their meaning: `skip`: If truthy, disables all processing for this node.
- * `skip_filters`: If truthy, disables all filters for this node. `skip_classes`: If truthy,
- * disables processing classes of this node.  `skip_attributes`: If truthy, disables processing
- * attributes of this node. See tests for usage details.
+ * @typedef {Object} ReportEntry
+ * @property {string} action One of `remove`, `flatten`, `replace` (by a filter), `rename`,
+ * `join` (the child nodes were moved into the preceding sibling), `wrap`, `remove_attribute`,
+ * `change_attribute`, `add_attribute` (by a transformer), `remove_class`, `remove_style`,
+ * `change_style` or `change_text`.
+ * @property {string} path The position of the node, e.g. `BODY > DIV:nth-child(2) > B`.
+ * @property {Tagname} tagname
+ * @property {?string} option The name of the option which caused the change, or `null` if the node
+ * was flattened because no `allow_tags_*` rule matched it.
+ * @property {?Object} rule The rule which caused the change, or `null` if the change was caused by
+ * the absence of a matching rule (e.g. an attribute which is not allowed). `rule.key` is the
+ * {@link Regex} matching the (parent) tag name, `rule.value` is the matching value {@link Regex}
+ * (or the filter or validator function).
+ * @property {string} [attribute] The name of the removed or changed attribute
+ * @property {?string} [value] The original value of the removed or changed attribute (`null` for
+ * added attributes), or the original text of a changed text node
+ * @property {string} [newValue] The new value of the changed or added attribute, or the new text
+ * @property {Tagname} [newTagname] The new tag name of the renamed node
+ * @property {Tagname} [wrapper] The tag name of the new element wrapping the node and its
+ * following siblings (with option `normalize`)
+ * @property {string} [class] The removed class name
+ * @property {string} [property] The CSS property of the removed or changed style declaration, whose
+ * value is given in `value` (and `newValue`)
+ * @example
+ * {
+ *   action: 'remove',
+ *   path: 'BODY > P:nth-child(1) > IFRAME:nth-child(2)',
+ *   tagname: 'IFRAME',
+ *   option: 'remove_tags_deep',
+ *   rule: { key: new RegExp('.*', 'i'), value: new RegExp('IFRAME', 'i') },
+ * }
+ */
+
+/**
+ * The result of sanitizing with the option `dry_run`.
  *
-*/
-function sanitizeDom(
-  doc,
-  contextNode,
-  options = {},
-  childrenOnly = false,
-  nodePropertyMap = new WeakMap(),
-) {
-  const optionDefaults = {
-    filters_by_tag: {},
-    remove_tags_direct: {},
-    remove_tags_deep: {},
-    flatten_tags_direct: {},
-    flatten_tags_deep: {},
-    allow_tags_direct: {},
-    allow_tags_deep: {},
-    allow_attributes_by_tag: {},
-    allow_classes_by_tag: {},
-    join_siblings: [],
-    allowed_empty_tags: ['IMG', 'IFRAME', 'HR', 'BR', 'INPUT'],
-  };
+ * @typedef {Object} DryRunResult
+ * @property {boolean} clean True if sanitizing would not change anything.
+ * @property {ReportEntry[]} actions The changes which sanitizing would make.
+ */
 
-  const opts = precompileOptions({ ...optionDefaults, ...options });
+// The implementation of `sanitizeDom`, and of `sanitizeDomAsync` if `isAsync` is true. Then filters
+// may return Promises, and it returns a Promise if one of them did.
+function sanitize(doc, contextNode, options, childrenOnly, nodePropertyMap, isAsync) {
+  const opts = precompileOptions(options);
 
   const parents = [];
   const parentNodenames = [];
 
+  // Adds an entry to `opts.report`, if given. Call this before the node is moved or removed.
+  function report(node, change, nodeParents = parents) {
+    if (!opts.report) return;
+    const {
+      action,
+      option = null,
+      rule = null,
+      ...details
+    } = change;
+    opts.report.push({
+      action,
+      path: nodePath(node, nodeParents),
+      tagname: tagnameOf(node),
+      option,
+      rule,
+      ...details,
+    });
+  }
+
+  function filterRule(node, filter, filtersByTag) {
+    let rule = null;
+    filtersByTag.forEach((filters, key) => {
+      if (!rule && key.test(tagnameOf(node), node) && filters.includes(filter)) {
+        rule = { key, value: filter };
+      }
+    });
+    return rule;
+  }
+
+  // Returns the option and rule of the `<kind>_tags_direct` or `<kind>_tags_deep` spec matching
+  // the element in the current position, or null.
+  function findTagRule(kind, node) {
+    return findMatchingTagRule(opts, kind, parentNodenames, tagnameOf(node), parents, node);
+  }
+
+  // Replaces the element (if attached) with a new element with the given tag name, and the same
+  // attributes, child nodes and node properties. Returns the new element.
+  function replaceWithRenamed(node, tagname) {
+    const renamed = doc.createElement(tagname);
+    Array.from(node.attributes).forEach(({ name, value }) => renamed.setAttribute(name, value));
+    childrenSnapshot(node).forEach((child) => renamed.appendChild(child));
+    if (node.parentNode) node.parentNode.replaceChild(renamed, node);
+
+    const nodeProperties = nodePropertyMap.get(node);
+    if (nodeProperties) nodePropertyMap.set(renamed, nodeProperties);
+    return renamed;
+  }
+
+  function setNodeProperty(node, key, value) {
+    const nodeProperties = nodePropertyMap.get(node) || {};
+    nodeProperties[key] = value;
+    nodePropertyMap.set(node, nodeProperties);
+  }
+
+  // Helpers for filters, which make the change right away, and return the value which the filter
+  // should return if `node` is the filtered node.
+  const filterHelpers = {
+    remove(node) {
+      node.remove();
+      return null;
+    },
+    flatten(node) {
+      const children = childrenSnapshot(node);
+      children.forEach((child) => {
+        // The children are sanitized like the original children, not like filter results.
+        const nodeProperties = nodePropertyMap.get(child);
+        if (child.nodeName === node.nodeName && !(nodeProperties && 'skip_filters' in nodeProperties)) {
+          setNodeProperty(child, 'skip_filters', false);
+        }
+        if (node.parentNode) node.parentNode.insertBefore(child, node);
+      });
+      node.remove();
+      return children;
+    },
+    skip(node) {
+      setNodeProperty(node, 'skip', true);
+      return node;
+    },
+    rename(node, tagname) {
+      return replaceWithRenamed(node, tagname);
+    },
+  };
+
+  // The second argument of filters.
+  function filterContext(node, siblingIndex) {
+    const nodeParents = parents.slice();
+    return {
+      parents,
+      parentNodenames,
+      siblingIndex,
+      doc,
+      options: opts,
+      depth: parents.length,
+      get path() {
+        return nodePath(node, nodeParents);
+      },
+      nodePropertyMap,
+      ...filterHelpers,
+    };
+  }
+
+  // Replaces the element with a new element with the tag name given by the matching
+  // `rename_tags_*` rule, and the same attributes and child nodes. Returns the new element, or the
+  // element itself if no rule matches.
+  function renameElement(node) {
+    const renameRule = findRenameRule(opts, parentNodenames, node.nodeName, parents, node);
+    if (!renameRule || !node.parentNode) return node;
+
+    report(node, { action: 'rename', ...renameRule });
+    return replaceWithRenamed(node, renameRule.newTagname);
+  }
+
+  // Applies the options `remove_invisible_characters` and `collapse_whitespace` to a text node.
+  function cleanTextNode(node) {
+    let text = node.data;
+    const change = (option, newText) => {
+      if (newText === text) return;
+      report(node, {
+        action: 'change_text',
+        option,
+        value: text,
+        newValue: newText,
+      });
+      text = newText;
+    };
+
+    if (opts.remove_invisible_characters) {
+      change('remove_invisible_characters', removeInvisibleCharacters(text));
+    }
+    if (opts.collapse_whitespace && !isPreformatted(parentNodenames)) {
+      change('collapse_whitespace', collapseWhitespace(text));
+    }
+
+    if (text === node.data) return;
+    if (text) {
+      node.data = text;
+    } else {
+      node.remove();
+    }
+  }
+
+  // True if the node is within a kept element like STYLE or TEXTAREA. In SVG and MATH, such
+  // elements can have child elements and comments, but the output would have them as text.
+  function inTextOnlyElement(node) {
+    return parents[0] !== node && TEXT_ONLY_ELEMENTS.includes(parentNodenames[0].toUpperCase());
+  }
+
+  // True if the text node is within a kept element like STYLE and contains its end tag, which
+  // would end the element in the output. The DOM can have such text in SVG and MATH, where it was
+  // escaped.
+  function endsTextOnlyElement(node) {
+    return inTextOnlyElement(node) && new RegExp(`</${parentNodenames[0]}`, 'i').test(node.data);
+  }
+
+  // Removes a comment, CDATA section or processing instruction, unless it is allowed by an
+  // `allow_tags_*` rule or by `keep_comments`. Matching `remove_tags_*` and `flatten_tags_*` rules
+  // always remove it, and so does data which can't be serialized safely.
+  function sanitizeComment(node) {
+    const removeRule = findTagRule('remove', node) || findTagRule('flatten', node);
+    if (removeRule || endsEarly(node) || inTextOnlyElement(node)) {
+      report(node, { action: 'remove', ...removeRule });
+      node.remove();
+      return;
+    }
+
+    if (opts.keep_comments || findTagRule('allow', node)) return;
+    report(node, { action: 'remove', option: 'keep_comments' });
+    node.remove();
+  }
+
   function replaceWithNodes(replaceable, replacements) {
     replacements.forEach((node) => replaceable.parentNode.insertBefore(node, replaceable));
     replaceable.remove();
   }
 
-  function runFiltersOnNode(node, filters, siblingIndex) {
-    let nodeProperties = nodePropertyMap.get(node);
-    let skipFilters;
-    skipFilters = nodeProperties && nodeProperties.skip_filters;
+  // Reads and deletes the node property `skip`. Returns true if it was set.
+  function takeSkip(node) {
+    const nodeProperties = nodePropertyMap.get(node);
+    if (!(nodeProperties && nodeProperties.skip)) return false;
+    delete nodeProperties.skip;
+    return true;
+  }
+
+  // Reads and deletes the node property `skip_filters`. Returns true if it was set.
+  function takeSkipFilters(node) {
+    const nodeProperties = nodePropertyMap.get(node);
+    const skipFilters = nodeProperties && nodeProperties.skip_filters;
     if (nodeProperties) delete nodeProperties.skip_filters;
-    if (skipFilters) return false;
+    return Boolean(skipFilters);
+  }
 
-    let replacements = [];
-    let removed = false;
-    for (let i = 0; i < filters.length; i += 1) {
-      const filter = filters[i];
-      const result = filter(node, {
-        parents,
-        parentNodenames,
-        siblingIndex
-      });
-      if (result === node) {
-        nodeProperties = nodePropertyMap.get(node); // TODO: Why is this not live?
-        skipFilters = nodeProperties && nodeProperties.skip_filters;
-        if (nodeProperties) delete nodeProperties.skip_filters;
-        if (skipFilters) {
-          break;
-        } else {
-          continue;
-        }
-      } else if (result instanceof Array) {
-        replaceWithNodes(node, result);
-        removed = true;
-        replacements = replacements.concat(result);
-      } else if (result) {
-        node.parentNode.replaceChild(result, node);
-        removed = true;
-        replacements.push(result);
-      } else {
-        node.remove();
-        removed = true;
-      }
+  // True if a filter which returned the node itself has stopped the remaining filters.
+  function filtersStopped(node) {
+    const skipFilters = takeSkipFilters(node);
+    const nodeProperties = nodePropertyMap.get(node); // TODO: Why is this not live?
+    return skipFilters || Boolean(nodeProperties && nodeProperties.skip);
+  }
 
-      replacements.forEach((r, index) => {
-        const props = nodePropertyMap.get(r);
-        if (r.nodeName === node.nodeName && !(props && typeof props.skip_filters !== 'undefined')) {
-          const filterFunctionName = filter.prototype.constructor.name || 'anonymous';
-          throw new Error(
-            `Prevented possible infinite loop. Filter function
-            '${filterFunctionName}' has returned a node of type
-            '${r.nodeName}' which has the same nodeName as the original node. This can lead to an
-            infinite loop if the filter always returns the same result. To get rid of this
-            warning, the filter must set the node attribute 'skip_filters' on the returned node
-            (evaluating to true or false) to signal if the returned node is to be sanitized again
-            (false) or not (true).`,
-          );
-        }
-        sanitizeNode(r, index);
+  // Replaces or removes the node with the result of a filter of the given option. Returns the new
+  // nodes.
+  function replaceWithFilterResult(node, { filter, result }, option) {
+    if (opts.report) {
+      report(node, {
+        action: result ? 'replace' : 'remove',
+        option,
+        rule: filterRule(node, filter, opts[option]),
       });
+    }
 
-      break; // The original has either been replaced or removed. Don't run more filters on it.
+    // The node may already have been replaced or removed, e.g. with a helper like `flatten`.
+    let replacements = [];
+    if (result instanceof Array) {
+      if (node.parentNode) replaceWithNodes(node, result);
+      replacements = result;
+    } else if (result) {
+      if (node.parentNode) node.parentNode.replaceChild(result, node);
+      replacements.push(result);
+    } else {
+      node.remove();
     }
-    return removed;
+    return replacements;
   }
 
-  // This 'flattens' a node.
-  function childNodesToSanitizedSiblings(node) {
-    if (!node.parentNode) return;
+  // Replaces the node with the result of a filter of `filters_by_tag`. Returns the new nodes,
+  // which are to be sanitized.
+  function replaceWithFiltered(node, { filter, result }) {
+    const replacements = replaceWithFilterResult(node, { filter, result }, 'filters_by_tag');
 
-    function moveChildNodesToFragment(nd) {
-      const fragment = doc.createDocumentFragment();
-      const children = childrenSnapshot(nd);
-      for (let i = 0; i < children.length; i += 1) fragment.appendChild(children[i]);
-      return fragment;
-    }
+    replacements.forEach((r) => {
+      const props = nodePropertyMap.get(r);
+      if (r.nodeName === node.nodeName && !(props && typeof props.skip_filters !== 'undefined')) {
+        const filterFunctionName = filter.name || 'anonymous';
+        throw new Error(
+          `Prevented possible infinite loop. Filter function
+          '${filterFunctionName}' has returned a node of type
+          '${r.nodeName}' which has the same nodeName as the original node. This can lead to an
+          infinite loop if the filter always returns the same result. To get rid of this
+          warning, the filter must set the node attribute 'skip_filters' on the returned node
+          (evaluating to true or false) to signal if the returned node is to be sanitized again
+          (false) or not (true).`,
+        );
+      }
+    });
+    return replacements;
+  }
+
+  function moveChildNodesToFragment(node) {
+    const fragment = doc.createDocumentFragment();
+    const children = childrenSnapshot(node);
+    for (let i = 0; i < children.length; i += 1) fragment.appendChild(children[i]);
+    return fragment;
+  }
 
-    const fragment = moveChildNodesToFragment(node);
-    sanitizeChildNodes(fragment);
+  function replaceWithFragment(node, fragment) {
     node.parentNode.insertBefore(fragment, node);
     node.remove();
   }
 
-  function sanitizeNode(node, index = 0) {
+  // The filters for a node, or null if the node is to be skipped.
+  function filtersFor(node) {
     const nodeProperties = nodePropertyMap.get(node);
+    if (nodeProperties && nodeProperties.skip) return null;
+    // TEXT instead of #text (and COMMENT instead of #comment) for easier attribute accessors
+    return getValuesForTagname(opts.filters_by_tag, tagnameOf(node), node);
+  }
 
-    if (nodeProperties && nodeProperties.skip) {
-      delete nodeProperties.skip;
-      return;
+  // Sanitizes a node which was not replaced by a filter, except for the child nodes of an element.
+  // Returns the element whose child nodes are to be sanitized next (which is a new element if it
+  // was renamed), or null.
+  function sanitizeUnfilteredNode(node) {
+    if (takeSkip(node)) return null; // set by a filter
+
+    if (node.nodeType === 3) { // Nothing more to do for a plain-text node, except cleaning it up.
+      if (endsTextOnlyElement(node)) {
+        report(node, { action: 'remove' });
+        node.remove();
+      } else {
+        cleanTextNode(node);
+      }
+      return null;
+    }
+
+    if (COMMENT_NODE_TYPES.includes(node.nodeType)) {
+      sanitizeComment(node);
+      return null;
+    }
+
+    return renameElement(node);
+  }
+
+  // Applies the matching `remove_tags_*`, `flatten_tags_*` or `allow_tags_*` rule to the element,
+  // and filters the classes and attributes of an allowed element. Returns `flatten` if the child
+  // nodes are to be sanitized and put in place of the element, `allow` if the child nodes are to
+  // be sanitized in the element, or null if the element is removed.
+  function applyTagRules(node) {
+    const removeRule = findTagRule('remove', node);
+    if (removeRule) {
+      report(node, { action: 'remove', ...removeRule });
+      node.remove();
+      return null;
     }
 
-    let tagname = node.nodeName;
+    if (inTextOnlyElement(node)) {
+      report(node, { action: 'flatten' });
+      return 'flatten';
+    }
 
-    if (node.nodeType === 3) tagname = 'TEXT'; // instead of #text for easier attribute accessors
+    const flattenRule = findTagRule('flatten', node);
+    if (flattenRule) {
+      report(node, { action: 'flatten', ...flattenRule });
+      return 'flatten';
+    }
 
-    const filters = getValuesForTagname(opts.filters_by_tag, tagname);
-    if (runFiltersOnNode(node, filters, index)) return; // The node has been removed by a filter.
+    if (!findTagRule('allow', node)) {
+      report(node, { action: 'flatten' }); // not allowed
+      return 'flatten';
+    }
 
-    if (node.nodeType === 3) return; // Nothing more to do for a plain-text node.
+    const nodeProperties = nodePropertyMap.get(node);
+    if (!(nodeProperties && nodeProperties.skip_classes)) {
+      filterClassesForNode(node, opts.allow_classes_by_tag)
+        .forEach((change) => report(node, change));
+    }
 
+    if (!(nodeProperties && nodeProperties.skip_attributes)) {
+      [].concat(
+        filterAttributesForNode(
+          node,
+          opts.allow_attributes_by_tag,
+          opts.remove_attributes_by_tag,
+          opts.allow_styles_by_tag,
+        ),
+        filterStylesForNode(node, opts.allow_styles_by_tag),
+        filterUrlsForNode(node, opts),
+        filterAttributeValuesForNode(node, opts.allow_attribute_values_by_tag),
+        transformAttributesForNode(node, opts.transform_attributes_by_tag),
+      ).forEach((change) => report(node, change));
+    }
+    return 'allow';
+  }
+
+  // Removes a sanitized child node of `parent` if it is empty and `remove_empty` applies.
+  function removeIfEmpty(node, parent) {
     if (
-      matchesAny(opts.remove_tags_direct, parents[0].nodeName, tagname)
-      || parentNodenames.some((name) => matchesAny(opts.remove_tags_deep, name, tagname))
+      opts.remove_empty
+      && node.nodeType === 1 // element
+      && node.parentNode === parent // not already removed, flattened or replaced
+      && isEmpty(node, opts.remove_empty)
+      && !findMatchingRule(
+        opts.allowed_empty_tags, parentNodenames[0], node.nodeName, parents[0], node,
+      )
     ) {
+      report(node, { action: 'remove', option: 'remove_empty' });
       node.remove();
-      return;
     }
+  }
 
-    if (
-      matchesAny(opts.flatten_tags_direct, parents[0].nodeName, tagname)
-      || parentNodenames.some((name) => matchesAny(opts.flatten_tags_deep, name, tagname))
-    ) {
-      childNodesToSanitizedSiblings(node);
-      return;
+  function joinChildNodes(parent) {
+    if (opts.join_siblings.size > 0) {
+      joinSiblings(parent, opts.join_siblings)
+        .forEach((node) => report(node, { action: 'join', option: 'join_siblings' }));
     }
+  }
 
-    if (
-      matchesAny(opts.allow_tags_direct, parents[0].nodeName, tagname)
-      || parentNodenames.some((name) => matchesAny(opts.allow_tags_deep, name, tagname))
-    ) {
-      if (!(nodeProperties && nodeProperties.skip_classes)) {
-        filterClassesForNode(node, opts.allow_classes_by_tag);
+  // The recursion of `sanitizeDom` and `sanitizeDomAsync`. Each function returns its result, or a
+  // Promise for it after a filter returned a Promise (see `lib/maybe-async.js`).
+
+  function callFilter(filter, node, siblingIndex) {
+    const result = filter(node, filterContext(node, siblingIndex));
+    return isAsync ? result : syncValue(result);
+  }
+
+  // Calls the filters in order, starting at `index`, until one of them doesn't return the node
+  // itself. Returns that filter with its (resolved) result, or null.
+  function callFilters(node, filters, siblingIndex, index = 0) {
+    if (index === 0 && (!filters || takeSkipFilters(node))) return null;
+    if (index >= filters.length) return null;
+
+    const filter = filters[index];
+    return then(callFilter(filter, node, siblingIndex), (result) => {
+      if (result !== node) return { filter, result };
+      if (filtersStopped(node)) return null;
+      return callFilters(node, filters, siblingIndex, index + 1);
+    });
+  }
+
+  // Calls the exit filters of an allowed element, after its child nodes have been sanitized,
+  // starting at `index`. The nodes returned by them are not sanitized.
+  function runExitFilters(node, filters, siblingIndex, index = 0) {
+    if (index >= filters.length) return undefined;
+
+    const filter = filters[index];
+    return then(callFilter(filter, node, siblingIndex), (result) => {
+      if (result !== node) {
+        replaceWithFilterResult(node, { filter, result }, 'exit_filters_by_tag');
+        return undefined;
       }
+      if (takeSkip(node)) return undefined; // No more exit filters
+      return runExitFilters(node, filters, siblingIndex, index + 1);
+    });
+  }
 
-      if (!(nodeProperties && nodeProperties.skip_attributes)) {
-        filterAttributesForNode(node, opts.allow_attributes_by_tag);
+  // `filtered` is the result of `callFilters` if the filters have already been called. Returns the
+  // node, or the element which replaced it when it was renamed.
+  function sanitizeNode(node, index = 0, filtered) {
+    let filterResult = filtered;
+    if (filtered === undefined) {
+      if (takeSkip(node)) return node;
+      filterResult = callFilters(node, filtersFor(node), index);
+      if (isThenable(filterResult)) {
+        return filterResult.then((result) => sanitizeNode(node, index, result));
       }
+    }
 
-      parents.unshift(node);
-      parentNodenames.unshift(node.nodeName);
-      sanitizeChildNodes(node);
-      parents.shift();
-      parentNodenames.shift();
-      return;
+    if (filterResult) { // The node is replaced or removed by a filter.
+      const replacements = replaceWithFiltered(node, filterResult);
+      return then(forEachInOrder(replacements, (r, i) => sanitizeNode(r, i)), () => node);
     }
 
-    childNodesToSanitizedSiblings(node);
+    const element = sanitizeUnfilteredNode(node);
+    if (!element) return node;
+    const sanitized = sanitizeElement(element, index);
+    return isThenable(sanitized) ? sanitized.then(() => element) : element;
   }
 
-  function sanitizeChildNodes(parent) {
-    const children = childrenSnapshot(parent);
-    for (let i = 0; i < children.length; i += 1) {
-      const node = children[i];
-      sanitizeNode(node, i);
+  // `filtered` has the results of `callFilters` for the children, if they have already been
+  // called. `start` is the index of the child to continue with.
+  function sanitizeChildNodes(parent, children = childrenSnapshot(parent), filtered, start = 0) {
+    // The filters of the children can run at the same time, before the children are sanitized.
+    if (!filtered && isAsync && opts.filter_concurrency > 1 && opts.filters_by_tag.size > 0) {
+      return mapLimited(
+        children,
+        (node, i) => callFilters(node, filtersFor(node), i),
+        opts.filter_concurrency,
+      ).then((results) => sanitizeChildNodes(parent, children, results));
+    }
 
-      if (
-        opts.remove_empty
-        && node.nodeType === 1 // element
-        && !opts.allowed_empty_tags.includes(node.nodeName)
-        && node.childNodes.length === 0
-      ) {
-        node.remove();
+    for (let i = start; i < children.length; i += 1) {
+      const sanitized = sanitizeNode(children[i], i, filtered && filtered[i]);
+      if (isThenable(sanitized)) {
+        return sanitized.then((node) => {
+          removeIfEmpty(node, parent);
+          return sanitizeChildNodes(parent, children, filtered || [], i + 1);
+        });
       }
+      removeIfEmpty(sanitized, parent);
     }
+    joinChildNodes(parent);
+    return undefined;
+  }
 
-    if (opts.join_siblings.length > 0) joinSiblings(parent, opts.join_siblings);
+  function sanitizeElement(node, siblingIndex) {
+    const action = applyTagRules(node);
+    if (action === 'flatten') {
+      if (!node.parentNode) return undefined;
+      const fragment = moveChildNodesToFragment(node);
+      return then(sanitizeChildNodes(fragment), () => replaceWithFragment(node, fragment));
+    }
+    if (action !== 'allow') return undefined;
+
+    parents.unshift(node);
+    parentNodenames.unshift(node.nodeName);
+    return then(sanitizeChildNodes(node), () => {
+      parents.shift();
+      parentNodenames.shift();
+      const filters = getValuesForTagname(opts.exit_filters_by_tag, node.nodeName, node);
+      return runExitFilters(node, filters, siblingIndex);
+    });
   }
 
   if (!(doc && typeof doc.createElement === 'function')) { // simple interface check
@@ -400,14 +918,244 @@ function sanitizeDom(
     throw new Error('Need DOM Node interface (function normalize missing)');
   }
 
+  if (opts.dry_run) {
+    // Sanitize a copy instead, and only keep the report.
+    const actions = [];
+    const copy = cloneTree(doc, contextNode, nodePropertyMap);
+    sanitizeDom(doc, copy.node, {
+      ...opts, // still precompiled
+      filters_by_tag: new Map(),
+      exit_filters_by_tag: new Map(),
+      report: actions,
+      dry_run: false,
+    }, childrenOnly, copy.nodePropertyMap);
+
+    if (opts.report) actions.forEach((action) => opts.report.push(action));
+    return { clean: actions.length === 0, actions };
+  }
+
+  // Cleans up the whole tree after its nodes have been sanitized.
+  function finish() {
+    if (opts.normalize) {
+      normalizeStructure(doc, contextNode, opts.normalize, (node, nodeParents, change) => {
+        report(node, { ...change, option: 'normalize' }, nodeParents);
+      });
+    }
+
+    if (opts.collapse_whitespace || opts.trim_blocks) {
+      cleanTextNodes(contextNode, opts, (node, nodeParents, change) => {
+        report(node, change, nodeParents);
+      });
+    }
+  }
+
   parents.unshift(contextNode);
   parentNodenames.unshift(contextNode.nodeName);
-  if (childrenOnly === true) {
-    sanitizeChildNodes(contextNode);
-  } else {
-    sanitizeNode(contextNode);
-  }
 
+  const sanitized = childrenOnly === true
+    ? sanitizeChildNodes(contextNode)
+    : sanitizeNode(contextNode);
+  return then(sanitized, () => finish());
+}
+
+/**
+ * This function is not exported: Please use the wrapper functions instead:
+ *
+ * {@link sanitizeHtml}, {@link sanitizeNode}, and {@link sanitizeChildNodes}.
+ *
+ * Recursively processes a tree with `node` at the root.
+ *
+ * In all descriptions, the term "flatten" means that a node is replaced with the node's childNodes.
+ * For example, if the B node in `<i>abc<b>def<u>ghi</u></b></i>` is flattened, the result is
+ * `<i>abcdef<u>ghi</u></i>`.
+ *
+ * Each node is processed in the following sequence:
+ *
+ * 1. Filters matching the `opts.filters_by_tag` spec are called. If the filter returns `null`, the
+ *    node is removed and processing stops (see {@link filter}s).
+ * 2. If the `opts.rename_tags_*` spec matches, the node is replaced with a node of the new tag
+ *    name, with the same attributes and child nodes. The following steps are applied to the new
+ *    node.
+ * 3. If the `opts.remove_tags_*` spec matches, the node is removed and processing stops.
+ * 4. If the `opts.flatten_tags_*` spec matches, the node is flattened and processing stops.
+ * 5. If the `opts.allow_tags_*` spec matches:
+ *     * All attributes not matching `opts.allow_attributes_by_tag`, and all attributes matching
+ *       `opts.remove_attributes_by_tag`, are removed.
+ *     * URL-bearing attributes are checked against the URL policy given by the `opts.*_url_*`
+ *       options.
+ *     * All remaining attributes whose values are rejected by `opts.allow_attribute_values_by_tag`
+ *       are removed or rewritten.
+ *     * The attributes are transformed by `opts.transform_attributes_by_tag`.
+ *     * All class names not matching `opts.allow_classes_by_tag` are removed.
+ *     * All declarations of the `style` attribute not matching `opts.allow_styles_by_tag` are
+ *       removed.
+ *     * The node is kept, and its child nodes are processed.
+ *     * Filters matching the `opts.exit_filters_by_tag` spec are called. They can remove or
+ *       replace the node based on its sanitized content.
+ * 6. The node is flattened.
+ *
+ * Text nodes are cleaned up according to `opts.remove_invisible_characters` and
+ * `opts.collapse_whitespace` in step 1, after the filters.
+ *
+ * Comments, CDATA sections and processing instructions are not renamed. After step 1, they are
+ * removed if the `opts.remove_tags_*` or `opts.flatten_tags_*` spec matches, and kept if the
+ * `opts.allow_tags_*` spec matches. Otherwise they are kept only with `opts.keep_comments`.
+ *
+ * Finally, if `opts.normalize` is given, the structure of the tree is normalized. Then, with
+ * `opts.collapse_whitespace` or `opts.trim_blocks`, adjacent text nodes are joined with
+ * `normalize()`, and their whitespace is collapsed and trimmed.
+ *
+ * @param {DomDocument} doc The document
+ * @param {DomNode} contextNode - The root node
+ * @param {Object} [opts={}] - Options for processing.
+ * @param {FilterSpec} [opts.filters_by_tag={}] - Matching filters are called with the node.
+ * @param {FilterSpec} [opts.exit_filters_by_tag={}] - Matching filters are called with allowed
+ * nodes, after their child nodes have been sanitized, e.g. to remove a TABLE without rows. They
+ * work like the other filters, but the nodes returned by them are not sanitized.
+ * @param {number} [opts.filter_concurrency=1] - With the async functions (like
+ * {@link sanitizeHtmlAsync}), the filters of up to this many sibling nodes run at the same time.
+ * They are then called before the preceding siblings are sanitized. Ignored by the other
+ * functions.
+ * @param {TagRenameSpec} [opts.rename_tags_direct={}] - Matching nodes which are a direct child
+ * of the matching parent node are renamed.
+ * @param {TagRenameSpec} [opts.rename_tags_deep={}] - Matching nodes which are anywhere below the
+ * matching parent node are renamed. A direct rule takes precedence over a deep rule.
+ * @param {ParentChildSpec} [opts.remove_tags_direct={}] - Matching nodes which are a direct child
+ * of the matching parent node are removed.
+ * @param {ParentChildSpec} [opts.remove_tags_deep={}] - Matching nodes which are anywhere below the
+ * matching parent node are removed. See {@link safe} for a preset removing `SCRIPT`, `STYLE` and
+ * other dangerous nodes.
+ * @param {ParentChildSpec} [opts.flatten_tags_direct={}] - Matching nodes which are a direct child
+ * of the matching parent node are flattened.
+ * @param {ParentChildSpec} [opts.flatten_tags_deep={}] - Matching nodes which are anywhere below
+ * the matching parent node are flattened.
+ * @param {ParentChildSpec} [opts.allow_tags_direct={}] - Matching nodes which are a direct child of
+ * the matching parent node are kept.
+ * @param {ParentChildSpec} [opts.allow_tags_deep={}] - Matching nodes which are anywhere below the
+ * matching parent node are kept.
+ * @param {boolean} [opts.keep_comments=false] - Keep the comments (as well as CDATA sections and
+ * processing instructions) which are not removed by a rule. If false, only the comments allowed by
+ * an `allow_tags_*` rule for `COMMENT` are kept. In HTML documents, conditional comments,
+ * processing instructions and (outside of SVG and MathML) CDATA sections are parsed as comments.
+ * @param {TagAttributeNameSpec} [opts.allow_attributes_by_tag={}] - Matching attribute names of a
+ * matching node are kept. Other attributes are removed.
+ * @param {TagAttributeNameSpec} [opts.remove_attributes_by_tag={}] - Matching attribute names of a
+ * matching node are removed, even if they are allowed by `opts.allow_attributes_by_tag` (this also
+ * applies to the class attribute).
+ * @param {TagAttributeValueSpec} [opts.allow_attribute_values_by_tag={}] - Values of matching
+ * attributes of a matching node must be accepted by at least one of the associated value rules.
+ * Otherwise the attribute is removed. Attributes without matching value rules are not affected.
+ * @param {TagStyleSpec} [opts.allow_styles_by_tag={}] - If a rule matches a node, the declarations
+ * of its `style` attribute must match. Other declarations are removed, and the attribute is removed
+ * when none remain. Like the class attribute, the style attribute of such a node needs no
+ * `opts.allow_attributes_by_tag` rule. For other nodes, the style attribute is treated like any
+ * other attribute.
+ * @param {TagAttributeTransformSpec} [opts.transform_attributes_by_tag={}] - Matching
+ * transformers are run on the attributes of a matching node, after all other attribute and class
+ * rules. They can change, add and remove attributes. Their results are not checked again.
+ * @param {TagUrlSchemeSpec} [opts.allow_url_schemes_by_tag={}] - The schemes of absolute URLs in
+ * URL-bearing attributes (see {@link UrlPolicy}) of a matching node must match. URLs with other
+ * schemes are removed.
+ * @param {TagUrlHostSpec} [opts.allow_url_hosts_by_tag={}] - The hosts of URLs in URL-bearing
+ * attributes of a matching node must match. URLs with other hosts are removed.
+ * @param {TagUrlHostSpec} [opts.block_url_hosts_by_tag={}] - URLs in URL-bearing attributes of a
+ * matching node whose hosts match are removed.
+ * @param {boolean} [opts.allow_relative_urls=true] - If false, relative URLs in URL-bearing
+ * attributes are removed (unless `opts.url_base` is given).
+ * @param {string} [opts.url_base=null] - If given, relative URLs in URL-bearing attributes are
+ * resolved against this absolute URL and replaced with the result. The resolved URLs are then
+ * subject to the scheme and host rules.
+ * @param {TagClassNameSpec} [opts.allow_classes_by_tag={}] - Matching class names of a matching
+ * node are kept. Other class names are removed. If no class names are remaining, the class
+ * attribute is removed.
+ * @param {?Object} [opts.normalize=null] If given, the structure of the sanitized tree is
+ * normalized after all other processing. The new elements are not checked against the options.
+ * @param {boolean} [opts.normalize.unnest_blocks=false] Flatten block elements within phrasing
+ * content (like a DIV within a B or P), as the HTML content models require.
+ * @param {?Tagname} [opts.normalize.wrap_list_items=null] Wrap runs of LI elements which are not
+ * within a UL, OL or MENU in a new element with this tag name, e.g. `UL`.
+ * @param {?Tagname} [opts.normalize.wrap_inline=null] Wrap runs of text and inline elements
+ * directly within the root node (e.g. BODY) in a new element with this tag name, e.g. `P`.
+ * Whitespace between blocks is not wrapped.
+ * @param {boolean} [opts.normalize.merge_text=false] Merge adjacent text nodes, and remove empty
+ * text nodes.
+ * @param {boolean} [opts.collapse_whitespace=false] Replace each run of whitespace (including
+ * no-break spaces) in text nodes with a single space. A single no-break space is kept. Text within
+ * PRE, CODE, TEXTAREA and other preformatted elements is not changed.
+ * @param {boolean} [opts.remove_invisible_characters=false] Remove control characters, zero-width
+ * spaces, word joiners, byte order marks, soft hyphens and bidirectional control characters from
+ * text nodes. Zero-width joiners and non-joiners are kept.
+ * @param {boolean} [opts.trim_blocks=false] Remove the whitespace at the start and end of block
+ * elements (like P, LI, TD and BODY), and between adjacent blocks.
+ * @param {(boolean|Object)} [opts.remove_empty=false] Remove elements which are empty after
+ * sanitizing their content. Since the content is sanitized first, parents which only contained
+ * empty elements are removed as well. `true` only removes elements without any child nodes. An
+ * object enables it with the following settings.
+ * @param {boolean} [opts.remove_empty.whitespace=false] Text containing only whitespace (including
+ * no-break spaces) doesn't count as content.
+ * @param {boolean} [opts.remove_empty.br=false] BR elements don't count as content.
+ * @param {(Tagname|Tagname[]|ParentChildSpec)} [opts.allowed_empty_tags] Elements with these tag
+ * names are never removed by `remove_empty`. Defaults to IMG, IFRAME, HR, BR and INPUT. With a
+ * {@link ParentChildSpec}, this only applies within the matching parents, e.g. `{ TR: ['TD'] }`
+ * keeps empty table cells, but no other empty elements.
+ * @param {(Tagname[]|JoinSpec)} [opts.join_siblings=[]] Join same-tag sibling nodes of given tag
+ * names, unless they are separated by non-whitespace textNodes. The children of the following
+ * siblings are moved into the first one. By default, only siblings with the same attributes and
+ * classes are joined (see {@link JoinSpec}).
+ * @param {ReportEntry[]} [opts.report=null] If an array is given, an entry is appended to it for
+ * each removal, flattening, replacement, joining and attribute or class change.
+ * @param {boolean} [opts.dry_run=false] If true, the DOM (as well as `nodePropertyMap`) is left
+ * untouched. Instead, a copy is sanitized, and a {@link DryRunResult} is returned. Filters are not
+ * run in this mode.
+ * @param {Bool} [childrenOnly=false] - If false, then the node itself and its descendants are
+ * processed recursively. If true, then only the children and its descendants are processed
+ * recursively, but not the node itself (use when `node` is `BODY` or `DocumentFragment`).
+ * @param {WeakMap.<DomNode, Object>} [nodePropertyMap=new WeakMap()] - Additional properties for a
+ * {@link DomNode} can be stored in an object and will be looked up in this map. The properties of
+ * the object and their meaning: `skip`: If truthy, disables all processing for this node.
+ * `skip_filters`: If truthy, disables all filters for this node. `skip_classes`: If truthy,
+ * disables processing classes of this node.  `skip_attributes`: If truthy, disables processing
+ * attributes of this node. See tests for usage details.
+ * @returns {(undefined|DryRunResult)} Only returns a value when `opts.dry_run` is true.
+ * @throws {Error} If the options are invalid, e.g. contain unknown option names (see
+ * {@link validateOptions}).
+ *
+*/
+function sanitizeDom(
+  doc,
+  contextNode,
+  options = {},
+  childrenOnly = false,
+  nodePropertyMap = new WeakMap(),
+) {
+  return sanitize(doc, contextNode, options, childrenOnly, nodePropertyMap, false);
+}
+
+/**
+ * Like {@link sanitizeDom}, but filters may return Promises, which are awaited. With the option
+ * `filter_concurrency`, the filters of sibling nodes run at the same time.
+ *
+ * @param {DomDocument} doc
+ * @param {DomNode} contextNode
+ * @param {Object} [options={}]
+ * @param {Bool} [childrenOnly=false]
+ * @param {WeakMap.<DomNode, Object>} [nodePropertyMap=new WeakMap()]
+ * @returns {Promise.<(undefined|DryRunResult)>}
+ */
+function sanitizeDomAsync(
+  doc,
+  contextNode,
+  options = {},
+  childrenOnly = false,
+  nodePropertyMap = new WeakMap(),
+) {
+  try {
+    const result = sanitize(doc, contextNode, options, childrenOnly, nodePropertyMap, true);
+    return Promise.resolve(result);
+  } catch (error) {
+    return Promise.reject(error);
+  }
 }
 
+export { sanitizeDomAsync };
 export default sanitizeDom;
@@ -0,0 +1,109 @@
+/*
+sanitize-dom - Recursive sanitizer/filter for WHATWG DOMs.
+
+Copyright 2020 Michael Karl Franzl
+
+Permission is hereby granted, free of charge, to any person obtaining a copy of this software and
+associated documentation files (the "Software"), to deal in the Software without restriction,
+including without limitation the rights to use, copy, modify, merge, publish, distribute,
+sublicense, and/or sell copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in all copies or substantial
+portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING BUT
+NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND
+NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES
+OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN
+CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+*/
+
+import {
+  sanitizeHtml as sanitizeHtmlWithDom,
+  sanitizeHtmlAsync as sanitizeHtmlAsyncWithDom,
+  validateHtml as validateHtmlWithDom,
+  createStreamSanitizer,
+  presets,
+  transforms,
+  filters,
+  mergeOptions,
+  validateOptions,
+  exact,
+  selector,
+} from './index.js';
+import { Document } from './lib/minidom/index.js';
+
+/**
+ * Creates an empty HTML document which is implemented by the bundled minimal DOM. It only
+ * supports the parts of the WHATWG DOM which are needed by sanitize-dom, and parses HTML with the
+ * bundled tree builder. Use it with {@link sanitizeNode} and {@link sanitizeChildNodes} if you
+ * need access to the nodes, for example in filters.
+ *
+ * @returns {DomDocument}
+ */
+function createDocument() {
+  return new Document().implementation.createHTMLDocument('');
+}
+
+const doc = createDocument();
+
+/**
+ * Like {@link sanitizeHtml}, but without the need for a DOM implementation like jsdom. The HTML is
+ * parsed into the bundled minimal DOM (see {@link createDocument}).
+ *
+ * @param {string} html
+ * @param {Object} [opts={}]
+ * @param {Boolean} [isDocument=false] See {@link sanitizeHtml}
+ * @param {WeakMap.<DomNode, Object>} [nodePropertyMap=new WeakMap()] Additional node properties
+ * @returns {(String|DryRunResult)} The processed HTML, or a {@link DryRunResult} when
+ * `opts.dry_run` is true.
+ * @example
+ * import { sanitizeHtml } from 'sanitize-dom/standalone';
+ *
+ * sanitizeHtml('<p>abc <b>def</b></p>', { allow_tags_deep: { '.*': 'P' } });
+ * // '<p>abc def</p>'
+ */
+function sanitizeHtml(html, opts = {}, isDocument = false, nodePropertyMap = new WeakMap()) {
+  return sanitizeHtmlWithDom(doc, html, opts, isDocument, nodePropertyMap);
+}
+
+/**
+ * Like {@link sanitizeHtmlAsync}, but without the need for a DOM implementation like jsdom.
+ *
+ * @param {string} html
+ * @param {Object} [opts={}]
+ * @param {Boolean} [isDocument=false] See {@link sanitizeHtml}
+ * @param {WeakMap.<DomNode, Object>} [nodePropertyMap=new WeakMap()] Additional node properties
+ * @returns {Promise.<(String|DryRunResult)>}
+ */
+function sanitizeHtmlAsync(html, opts = {}, isDocument = false, nodePropertyMap = new WeakMap()) {
+  return sanitizeHtmlAsyncWithDom(doc, html, opts, isDocument, nodePropertyMap);
+}
+
+/**
+ * Like {@link validateHtml}, but without the need for a DOM implementation like jsdom.
+ *
+ * @param {string} html
+ * @param {Object} [opts={}]
+ * @param {Boolean} [isDocument=false] See {@link sanitizeHtml}
+ * @returns {Violation[]} An empty array if the HTML is valid
+ */
+function validateHtml(html, opts = {}, isDocument = false) {
+  return validateHtmlWithDom(doc, html, opts, isDocument);
+}
+
+export {
+  sanitizeHtml,
+  sanitizeHtmlAsync,
+  validateHtml,
+  createDocument,
+  createStreamSanitizer,
+  presets,
+  transforms,
+  filters,
+  mergeOptions,
+  validateOptions,
+  exact,
+  selector,
+};
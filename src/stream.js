@@ -0,0 +1,261 @@
+/*
+sanitize-dom - Recursive sanitizer/filter for WHATWG DOMs.
+
+Copyright 2020 Michael Karl Franzl
+
+Permission is hereby granted, free of charge, to any person obtaining a copy of this software and
+associated documentation files (the "Software"), to deal in the Software without restriction,
+including without limitation the rights to use, copy, modify, merge, publish, distribute,
+sublicense, and/or sell copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in all copies or substantial
+portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING BUT
+NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND
+NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES
+OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN
+CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+*/
+
+import createTreeBuilder, { VOID_ELEMENTS } from './lib/tree-builder.js';
+import { TEXT_ONLY_ELEMENTS } from './lib/tokenizer.js';
+import precompileOptions from './lib/options.js';
+import findTagRule, { findRenameRule } from './lib/find-tag-rule.js';
+import findMatchingRule from './lib/find-matching-rule.js';
+import filterUrlsForNode from './lib/urls.js';
+import {
+  filterAttributesForNode,
+  filterAttributeValuesForNode,
+  filterClassesForNode,
+  filterStylesForNode,
+  transformAttributesForNode,
+} from './lib/attributes.js';
+import { Element } from './lib/minidom/index.js';
+import { escapeText, startTag, endsCommentEarly } from './lib/serialize.js';
+
+const UNSUPPORTED_OPTIONS = [
+  'filters_by_tag',
+  'exit_filters_by_tag',
+  'join_siblings',
+  'normalize',
+  'collapse_whitespace',
+  'remove_invisible_characters',
+  'trim_blocks',
+  'report',
+  'dry_run',
+];
+
+function isEmptyOption(value) {
+  if (Array.isArray(value)) return value.length === 0;
+  if (value && typeof value === 'object') return Object.keys(value).length === 0;
+  return !value;
+}
+
+// True if a rule of the precompiled options needs the DOM node, like a `selector` rule.
+function hasSelectorRules(value) {
+  if (value instanceof Map) {
+    return Array.from(value).some(([key, rules]) => key.usesNode || hasSelectorRules(rules));
+  }
+  if (Array.isArray(value)) return value.some((rule) => rule.usesNode);
+  return false;
+}
+
+/**
+ * A sanitizer which consumes HTML in chunks and returns the sanitized HTML as soon as possible.
+ *
+ * @typedef {Object} StreamSanitizer
+ * @property {function(string): string} write Consumes the next chunk of HTML and returns the next
+ * chunk of sanitized HTML (which may be empty).
+ * @property {function(): string} end Signals the end of the HTML and returns the remaining
+ * sanitized HTML, including the end tags of the elements which are still open.
+ */
+
+/**
+ * Creates a sanitizer for HTML strings which does not need a DOM. Instead, the HTML is tokenized
+ * with a bundled tokenizer, and the tokens are sanitized as they arrive. Use this for very large
+ * inputs, which would need a lot of memory when parsed into a DOM.
+ *
+ * The options have the same meaning as for {@link sanitizeHtml}, and the content is sanitized as
+ * if it was the content of a BODY node. The following options are not supported, because they
+ * would need the whole tree or the decoded text: `filters_by_tag`, `exit_filters_by_tag`,
+ * `join_siblings`, `normalize`, `collapse_whitespace`, `remove_invisible_characters`,
+ * `trim_blocks`, `report`, `dry_run`, and {@link selector} rules. For `remove_empty`, the start
+ * tags of elements which can be removed are held back until their first content arrives. Its
+ * settings `whitespace` and `br` are not supported.
+ *
+ * The bundled tree builder only implements a subset of the WHATWG tree construction rules (see
+ * `lib/tree-builder.js`). For some malformed HTML (like misnested formatting tags), the output
+ * can differ from the output of {@link sanitizeHtml}. It is still sanitized according to the
+ * options. Doctypes are removed. Like in HTML content, processing instructions and CDATA sections
+ * are treated as comments.
+ *
+ * Validator and transformer functions (see {@link attributeValidator} and
+ * {@link attributeTransformer}) are called with a lightweight element which only supports the
+ * attribute-related parts of the DOM Element interface.
+ *
+ * @param {Object} [opts={}] See {@link sanitizeDom}
+ * @returns {StreamSanitizer}
+ * @example
+ * import { createStreamSanitizer } from 'sanitize-dom';
+ *
+ * const sanitizer = createStreamSanitizer({ allow_tags_deep: { '.*': '^(P|B)$' } });
+ * sanitizer.write('<p>abc <i>de'); // '<p>abc de'
+ * sanitizer.write('f</i> <b>ghi'); // 'f <b>ghi'
+ * sanitizer.end(); // '</b></p>'
+ */
+function createStreamSanitizer(opts = {}) {
+  UNSUPPORTED_OPTIONS.forEach((key) => {
+    if (!isEmptyOption(opts[key])) {
+      throw new Error(`Option '${key}' is not supported by the stream sanitizer`);
+    }
+  });
+
+  const options = precompileOptions(opts);
+  if (options.remove_empty && (options.remove_empty.whitespace || options.remove_empty.br)) {
+    throw new Error("The settings 'whitespace' and 'br' of option 'remove_empty' are not supported "
+      + 'by the stream sanitizer');
+  }
+  if (Object.keys(options).some((key) => hasSelectorRules(options[key]))) {
+    throw new Error('Selector rules are not supported by the stream sanitizer');
+  }
+
+  const parentNodenames = ['BODY']; // The tag names of the kept parents, innermost first
+  const elements = []; // The open elements, outermost first
+  let removedDepth = 0; // The number of open elements which are removed
+  let pendingCount = 0; // The number of open elements whose start tag is held back
+  let output = '';
+
+  // Appends the start tags which have been held back, followed by `html`.
+  function emit(html) {
+    if (pendingCount > 0) {
+      for (let i = 0; i < elements.length; i += 1) {
+        const element = elements[i];
+        if (element.pending) {
+          output += element.startTag;
+          element.pending = false;
+        }
+      }
+      pendingCount = 0;
+    }
+    output += html;
+  }
+
+  function modeOf(tagname) {
+    if (removedDepth > 0) return 'remove';
+    if (findTagRule(options, 'remove', parentNodenames, tagname)) return 'remove';
+    // In SVG and MATH, elements like STYLE can have child elements. In the output, their start tags
+    // would be parsed as text, up to an end tag like `</style>` in an attribute value.
+    if (TEXT_ONLY_ELEMENTS.includes(parentNodenames[0])) return 'flatten';
+    if (findTagRule(options, 'flatten', parentNodenames, tagname)) return 'flatten';
+    if (findTagRule(options, 'allow', parentNodenames, tagname)) return 'keep';
+    return 'flatten';
+  }
+
+  // True if a comment in the current position is kept, like by `sanitizeDom`.
+  function keepsComment(text) {
+    if (removedDepth > 0 || endsCommentEarly(text)) return false;
+    if (TEXT_ONLY_ELEMENTS.includes(parentNodenames[0])) return false; // see `modeOf`
+    if (findTagRule(options, 'remove', parentNodenames, 'COMMENT')) return false;
+    if (findTagRule(options, 'flatten', parentNodenames, 'COMMENT')) return false;
+    return options.keep_comments
+      || Boolean(findTagRule(options, 'allow', parentNodenames, 'COMMENT'));
+  }
+
+  function startTagFor(tagname, attributes) {
+    const node = new Element(null, tagname);
+    attributes.forEach(({ name, value }) => node.setAttribute(name, value));
+    filterClassesForNode(node, options.allow_classes_by_tag);
+    filterAttributesForNode(
+      node,
+      options.allow_attributes_by_tag,
+      options.remove_attributes_by_tag,
+      options.allow_styles_by_tag,
+    );
+    filterStylesForNode(node, options.allow_styles_by_tag);
+    filterUrlsForNode(node, options);
+    filterAttributeValuesForNode(node, options.allow_attribute_values_by_tag);
+    transformAttributesForNode(node, options.transform_attributes_by_tag);
+    return startTag(node);
+  }
+
+  const builder = createTreeBuilder({
+    open(name, attributes) {
+      const renameRule = removedDepth > 0 ? null : findRenameRule(options, parentNodenames, name);
+      const tagname = renameRule ? renameRule.newTagname : name;
+      const element = { tagname, renamed: Boolean(renameRule), mode: modeOf(tagname) };
+      elements.push(element);
+
+      if (element.mode === 'remove') {
+        removedDepth += 1;
+      } else if (element.mode === 'keep') {
+        const removableEmpty = options.remove_empty
+          && !findMatchingRule(options.allowed_empty_tags, parentNodenames[0], tagname);
+        parentNodenames.unshift(tagname);
+        element.startTag = startTagFor(tagname, attributes);
+        if (removableEmpty) {
+          element.pending = true;
+          pendingCount += 1;
+        } else {
+          emit(element.startTag);
+        }
+      }
+    },
+
+    close() {
+      const element = elements.pop();
+      const { tagname } = element;
+      if (element.mode === 'remove') {
+        removedDepth -= 1;
+      } else if (element.mode === 'keep') {
+        parentNodenames.shift();
+        if (element.pending) { // still empty
+          pendingCount -= 1;
+        } else if (!VOID_ELEMENTS.includes(tagname)) {
+          output += `</${tagname.toLowerCase()}>`;
+        }
+      }
+    },
+
+    text(text, raw) {
+      if (removedDepth > 0) return;
+      const parent = elements[elements.length - 1];
+      // The content of a kept raw text element like STYLE can not be escaped. But when the output
+      // puts the element into an SVG or MATH element, it is foreign content there, where the text
+      // would be parsed as markup.
+      const inForeignContent = parentNodenames.includes('SVG') || parentNodenames.includes('MATH');
+      if (raw && parent && parent.mode === 'keep' && !parent.renamed && !inForeignContent) {
+        emit(text);
+      } else if (raw) {
+        emit(escapeText(text));
+      } else {
+        // The text is not decoded, so only the characters which could start markup are escaped.
+        emit(text.replace(/</g, '&lt;').replace(/>/g, '&gt;'));
+      }
+    },
+
+    comment(text) {
+      if (keepsComment(text)) emit(`<!--${text}-->`);
+    },
+  });
+
+  function flush() {
+    const html = output;
+    output = '';
+    return html;
+  }
+
+  return {
+    write(chunk) {
+      builder.write(chunk);
+      return flush();
+    },
+    end() {
+      builder.end();
+      return flush();
+    },
+  };
+}
+
+export { createStreamSanitizer }; // eslint-disable-line import/prefer-default-export
@@ -0,0 +1,131 @@
+/*
+sanitize-dom - Recursive sanitizer/filter for WHATWG DOMs.
+
+Copyright 2020 Michael Karl Franzl
+
+Permission is hereby granted, free of charge, to any person obtaining a copy of this software and
+associated documentation files (the "Software"), to deal in the Software without restriction,
+including without limitation the rights to use, copy, modify, merge, publish, distribute,
+sublicense, and/or sell copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in all copies or substantial
+portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING BUT
+NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND
+NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES
+OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN
+CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+*/
+
+/**
+ * Factories for {@link attributeTransformer}s, for use with the option
+ * `transform_attributes_by_tag`.
+ *
+ * @example
+ * import { sanitizeHtml, transforms } from 'sanitize-dom';
+ *
+ * sanitizeHtml(document, '<a href="https://example.com/">abc</a>', {
+ *   allow_tags_deep: { '.*': '^A$' },
+ *   allow_attributes_by_tag: { A: 'href' },
+ *   transform_attributes_by_tag: {
+ *     A: {
+ *       rel: transforms.whenExternal(transforms.addTokens('noopener', 'noreferrer')),
+ *       target: transforms.whenExternal(transforms.setValue('_blank')),
+ *     },
+ *   },
+ * });
+ * // '<a href="https://example.com/" rel="noopener noreferrer" target="_blank">abc</a>'
+ */
+
+/**
+ * @param {string} value
+ * @return {attributeTransformer} Sets the attribute to the value, adding it if it is missing.
+ */
+function setValue(value) {
+  return () => value;
+}
+
+/**
+ * @param {...string} tokens
+ * @return {attributeTransformer} Adds the tokens to a space-separated list like `rel`, unless it
+ * already contains them (ignoring case). Adds the attribute if it is missing.
+ */
+function addTokens(...tokens) {
+  return (value) => {
+    const existing = value === null ? [] : value.split(/\s+/).filter((token) => token);
+    const known = existing.map((token) => token.toLowerCase());
+    const missing = tokens.filter((token) => !known.includes(token.toLowerCase()));
+    return missing.length ? existing.concat(missing).join(' ') : value;
+  };
+}
+
+/**
+ * @param {number} min
+ * @param {number} max
+ * @return {attributeTransformer} Clamps a numeric value like `width` to the range. Values which
+ * are not numbers are removed.
+ */
+function clampNumber(min, max) {
+  return (value) => {
+    if (value === null) return undefined;
+    if (!/^\s*-?(\d+|\d*\.\d+)\s*$/.test(value)) return null;
+    return String(Math.min(max, Math.max(min, Number(value))));
+  };
+}
+
+/**
+ * @return {attributeTransformer} Converts the value to lower case, e.g. for `lang`.
+ */
+function lowerCase() {
+  return (value) => (value === null ? undefined : value.toLowerCase());
+}
+
+/**
+ * @param {string} prefix
+ * @return {attributeTransformer} Prepends the prefix to the value, unless it already starts with
+ * it. Use this for `id` and `name` attributes, so that they can't clobber the IDs or global
+ * variables of the page.
+ */
+function addPrefix(prefix) {
+  return (value) => (value === null || value.startsWith(prefix) ? value : `${prefix}${value}`);
+}
+
+/**
+ * @param {function(DomNode): boolean} predicate
+ * @param {attributeTransformer} transformer
+ * @return {attributeTransformer} Runs the transformer only if the predicate returns true for the
+ * node.
+ */
+function when(predicate, transformer) {
+  return (value, context) => (predicate(context.node) ? transformer(value, context) : undefined);
+}
+
+/**
+ * @param {attributeTransformer} transformer
+ * @param {string[]} [ownHosts=[]] The hosts of the site, whose links are not external
+ * @return {attributeTransformer} Runs the transformer only for elements whose `href` is an
+ * absolute `http` or `https` URL with a host other than `ownHosts`.
+ */
+function whenExternal(transformer, ownHosts = []) {
+  return when((node) => {
+    let url;
+    try {
+      url = new URL(node.getAttribute('href'));
+    } catch (e) {
+      return false; // missing or relative
+    }
+    return ['http:', 'https:'].includes(url.protocol) && !ownHosts.includes(url.hostname);
+  }, transformer);
+}
+
+export {
+  setValue,
+  addTokens,
+  clampNumber,
+  lowerCase,
+  addPrefix,
+  when,
+  whenExternal,
+};
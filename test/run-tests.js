@@ -3,7 +3,24 @@
 
 import assert from 'assert';
 
-import { sanitizeNode, sanitizeChildNodes, sanitizeHtml } from '../src/index.js';
+import {
+  sanitizeNode,
+  sanitizeChildNodes,
+  sanitizeHtml,
+  sanitizeChildNodesAsync,
+  sanitizeHtmlAsync,
+  validateHtml,
+  createSanitizer,
+  createStreamSanitizer,
+  presets,
+  transforms,
+  filters,
+  mergeOptions,
+  validateOptions,
+  exact,
+  selector,
+} from '../src/index.js';
+import * as standalone from '../src/standalone.js';
 
 function runTests(doc, container) {
 
@@ -123,6 +140,64 @@ function runTests(doc, container) {
         '<b>abc</b> x <b>def</b>',
       );
     });
+
+    it('joins only siblings with the same attributes and classes, in any order', () => {
+      assert.equal(
+        run('<a href="x" title="t">a</a><a title="t" href="x">b</a><a href="y">c</a> '
+          + '<b class="x y">d</b> <b class="y x">e</b>', {
+          join_siblings: ['A', 'B'],
+          allow_tags_direct: { '.*': '.*' },
+          allow_attributes_by_tag: { A: ['href', 'title'] },
+          allow_classes_by_tag: { B: '.*' },
+        }),
+        '<a href="x" title="t">ab</a><a href="y">c</a> <b class="x y">d e</b>',
+      );
+    });
+
+    it('joins siblings with different attributes, if configured', () => {
+      assert.equal(
+        run('<a href="x">a</a><a href="y">b</a>', {
+          join_siblings: { A: { same_attributes: false } },
+          allow_tags_direct: { '.*': '.*' },
+          allow_attributes_by_tag: { A: ['href'] },
+        }),
+        '<a href="x">ab</a>',
+      );
+    });
+
+    it('inserts a separator between the joined contents', () => {
+      assert.equal(
+        run('<p>abc</p>\n<p>def</p><p>ghi</p><div>jkl</div><div>mno</div>', {
+          join_siblings: { '^P$': { separator: 'br' }, DIV: {} },
+          allow_tags_direct: { '.*': '.*' },
+        }),
+        '<p>abc<br>\ndef<br>ghi</p><div>jklmno</div>',
+      );
+    });
+
+    it('joins long runs of siblings', () => {
+      assert.equal(
+        run('<b>a</b> '.repeat(500), {
+          join_siblings: ['B'],
+          allow_tags_direct: { '.*': '.*' },
+        }),
+        `<b>${'a '.repeat(499)}a</b> `,
+      );
+    });
+
+    it('rejects invalid settings', () => {
+      assert.deepEqual(
+        validateOptions({ join_siblings: { P: { separator: 'script', same: true }, B: true } }),
+        [
+          {
+            path: 'join_siblings["P"].separator',
+            message: "Can't join with the raw text element SCRIPT",
+          },
+          { path: 'join_siblings["P"].same', message: "Unknown option 'same'" },
+          { path: 'join_siblings["B"]', message: 'Expected an object, got a boolean' },
+        ],
+      );
+    });
   });
 
   it('flattens all tags by default', () => {
@@ -716,6 +791,1923 @@ function runTests(doc, container) {
     });
   });
 
+  describe('remove_attributes_by_tag', () => {
+    it('removes matching attributes even if they are allowed', () => {
+      assert.equal(
+        run('<div class="a" onclick="x()" title="b"><span onmouseover="y()">c</span></div>', {
+          allow_tags_direct: { '.*': '.*' },
+          allow_attributes_by_tag: { '.*': '.*' },
+          allow_classes_by_tag: { '.*': '.*' },
+          remove_attributes_by_tag: { '.*': ['^on', '^class$'] },
+        }),
+        '<div title="b"><span>c</span></div>',
+      );
+    });
+  });
+
+  describe('allow_attribute_values_by_tag', () => {
+    it('removes attributes whose values do not match', () => {
+      assert.equal(
+        run('<a href="javascript:alert(1)">abc</a><a href="https://example.com">def</a>', {
+          allow_tags_direct: { '.*': '.*' },
+          allow_attributes_by_tag: { A: 'href' },
+          allow_attribute_values_by_tag: { A: { href: '^https?:' } },
+        }),
+        '<a>abc</a><a href="https://example.com">def</a>',
+      );
+    });
+
+    it('keeps attributes without value rules', () => {
+      assert.equal(
+        run('<img alt="abc" width="wide">', {
+          allow_tags_direct: { '.*': '.*' },
+          allow_attributes_by_tag: { IMG: ['alt', 'width'] },
+          allow_attribute_values_by_tag: { IMG: { width: '^[0-9]+$' } },
+        }),
+        '<img alt="abc">',
+      );
+    });
+
+    it('keeps a value accepted by any of several rules', () => {
+      assert.equal(
+        run('<a href="mailto:a@b.c">abc</a><a href="#top">def</a>', {
+          allow_tags_direct: { '.*': '.*' },
+          allow_attributes_by_tag: { A: 'href' },
+          allow_attribute_values_by_tag: { A: { href: ['^mailto:', '^#'] } },
+        }),
+        '<a href="mailto:a@b.c">abc</a><a href="#top">def</a>',
+      );
+    });
+
+    it('calls validator functions which may accept, reject or rewrite the value', () => {
+      assert.equal(
+        run('<p dir="RTL" lang="EN" title="x">abc</p>', {
+          allow_tags_direct: { '.*': '.*' },
+          allow_attributes_by_tag: { '.*': '.*' },
+          allow_attribute_values_by_tag: {
+            P: {
+              dir: (value) => value.toLowerCase(),
+              lang: (value, { node, attribute }) => {
+                assert.equal(node.nodeName, 'P');
+                assert.equal(attribute, 'lang');
+                return value === 'EN';
+              },
+              title: () => false,
+            },
+          },
+        }),
+        '<p dir="rtl" lang="EN">abc</p>',
+      );
+    });
+  });
+
+  describe('URL policy', () => {
+    const allowAll = {
+      allow_tags_direct: { '.*': '.*' },
+      allow_attributes_by_tag: { '.*': '.*' },
+    };
+
+    it('removes URLs with disallowed schemes', () => {
+      assert.equal(
+        run('<a href="javascript:alert(1)">abc</a><a href="https://x.y/">def</a>', {
+          ...allowAll,
+          allow_url_schemes_by_tag: { '.*': ['^https?$'] },
+        }),
+        '<a>abc</a><a href="https://x.y/">def</a>',
+      );
+    });
+
+    it('removes obfuscated URLs with disallowed schemes', () => {
+      assert.equal(
+        run('<a href=" java&#x09;script:alert(1)">abc</a><img src="JaVaScRiPt:alert(1)">', {
+          ...allowAll,
+          allow_url_schemes_by_tag: { '.*': ['^https?$'] },
+        }),
+        '<a>abc</a><img>',
+      );
+    });
+
+    it('does not check attributes which do not carry URLs', () => {
+      assert.equal(
+        run('<a title="javascript:alert(1)">abc</a>', {
+          ...allowAll,
+          allow_url_schemes_by_tag: { '.*': ['^https?$'] },
+        }),
+        '<a title="javascript:alert(1)">abc</a>',
+      );
+    });
+
+    it('keeps relative URLs by default, and removes them if requested', () => {
+      const html = '<a href="page.html">abc</a><a href="/root">def</a>';
+      assert.equal(
+        run(html, { ...allowAll, allow_url_schemes_by_tag: { '.*': ['^https$'] } }),
+        html,
+      );
+      assert.equal(
+        run(html, { ...allowAll, allow_relative_urls: false }),
+        '<a>abc</a><a>def</a>',
+      );
+    });
+
+    it('resolves relative URLs against url_base', () => {
+      assert.equal(
+        run('<a href="page.html">abc</a><img src="//cdn.example/i.png">', {
+          ...allowAll,
+          url_base: 'https://example.com/articles/',
+        }),
+        '<a href="https://example.com/articles/page.html">abc</a><img src="https://cdn.example/i.png">',
+      );
+    });
+
+    it('checks hosts, also of relative URLs with a host', () => {
+      assert.equal(
+        run('<img src="https://example.com/1.png"><img src="//evil.example/2.png"><img src="https://img.example.com/3.png">', {
+          ...allowAll,
+          allow_url_hosts_by_tag: { IMG: ['(^|\\.)example\\.com$'] },
+          block_url_hosts_by_tag: { IMG: ['^img\\.'] },
+        }),
+        '<img src="https://example.com/1.png"><img><img>',
+      );
+    });
+
+    it('checks each candidate of srcset and ping', () => {
+      assert.equal(
+        run('<img srcset="https://a.b/1.png 1x, javascript:alert(1) 2x,https://a.b/3.png 3x"><a ping="https://a.b/p data:text/html,x">abc</a><a ping="data:text/html,x">def</a>', {
+          ...allowAll,
+          allow_url_schemes_by_tag: { '.*': ['^https$'] },
+        }),
+        '<img srcset="https://a.b/1.png 1x, https://a.b/3.png 3x"><a ping="https://a.b/p">abc</a><a>def</a>',
+      );
+    });
+  });
+
+  describe('safe preset', () => {
+    const permissive = {
+      ...presets.safe,
+      allow_tags_deep: { '.*': '.*' },
+      allow_attributes_by_tag: { '.*': '.*' },
+      allow_classes_by_tag: { '.*': '.*' },
+    };
+
+    const payloads = [
+      '<script>alert(1)</script>',
+      '<p>abc<script>alert(1)</script></p>',
+      '<img src=x onerror=alert(1)>',
+      '<svg onload=alert(1)>',
+      '<svg><script>alert(1)</script></svg>',
+      '<svg><a xlink:href="javascript:alert(1)"><text>x</text></a></svg>',
+      '<a href="javascript:alert(1)">x</a>',
+      '<a href="JaVaScRiPt:alert(1)">x</a>',
+      '<a href="&#106;avascript:alert(1)">x</a>',
+      '<a href=" java&#x09;script:alert(1)">x</a>',
+      '<a href="vbscript:msgbox(1)">x</a>',
+      '<a href="data:text/html;base64,PHNjcmlwdD5hbGVydCgxKTwvc2NyaXB0Pg==">x</a>',
+      '<iframe src="javascript:alert(1)"></iframe>',
+      '<iframe srcdoc="<script>alert(1)</script>"></iframe>',
+      '<object data="javascript:alert(1)"></object>',
+      '<embed src="javascript:alert(1)">',
+      '<form action="javascript:alert(1)"><button formaction="javascript:alert(1)">x</button></form>',
+      '<input type="image" src="javascript:alert(1)">',
+      '<img srcset="javascript:alert(1) 1x">',
+      '<video><source onerror="alert(1)"></video>',
+      '<details open ontoggle=alert(1)>',
+      '<div style="background:url(javascript:alert(1))">x</div>',
+      '<style>@import "javascript:alert(1)";</style>',
+      '<link rel="stylesheet" href="javascript:alert(1)">',
+      '<meta http-equiv="refresh" content="0;url=javascript:alert(1)">',
+      '<base href="javascript:alert(1)//">',
+      '<template><script>alert(1)</script></template>',
+      '<textarea><script>alert(1)</script></textarea>',
+      '<noscript><p title="</noscript><img src=x onerror=alert(1)>"></noscript>',
+      '<math><mtext><table><mglyph><style><img src=x onerror=alert(1)>',
+      '<svg><style><img src=x onerror=alert(1)></style></svg>',
+      '<math><style><img src=x onerror=alert(1)></style></math>',
+      '<body onload=alert(1)>',
+    ];
+
+    const urlAttributes = ['href', 'src', 'srcset', 'action', 'formaction', 'data', 'xlink:href'];
+
+    // The sanitized HTML is parsed again, to also catch dangerous content which would only appear
+    // when the browser parses the output.
+    function assertHarmless(html) {
+      const box = doc.createElement('div');
+      box.innerHTML = html;
+      const elements = box.getElementsByTagName('*');
+      for (let i = 0; i < elements.length; i += 1) {
+        const element = elements[i];
+        assert.ok(
+          !/^(SCRIPT|STYLE|IFRAME|OBJECT|EMBED|SVG|MATH|META|BASE|LINK|TEMPLATE|NOSCRIPT)$/i.test(element.nodeName),
+          `${element.nodeName} in ${html}`,
+        );
+        for (let j = 0; j < element.attributes.length; j += 1) {
+          const { name, value } = element.attributes[j];
+          assert.ok(!/^(on|style$|srcdoc$)/i.test(name), `${name} in ${html}`);
+          if (urlAttributes.includes(name)) {
+            assert.ok(!/^(javascript|vbscript|data):/i.test(value.replace(/\s/g, '')), `${value} in ${html}`);
+          }
+        }
+      }
+    }
+
+    payloads.forEach((payload) => {
+      it(`neutralizes ${payload}`, () => {
+        assertHarmless(run(payload, permissive));
+      });
+    });
+
+    it('neutralizes all payloads with the stream sanitizer', () => {
+      payloads.forEach((payload) => {
+        const sanitizer = createStreamSanitizer(permissive);
+        let html = '';
+        for (let i = 0; i < payload.length; i += 1) html += sanitizer.write(payload[i]);
+        assertHarmless(html + sanitizer.end());
+      });
+    });
+
+    it('removes script content instead of flattening it', () => {
+      assert.equal(
+        run('<p>abc<script>alert(1)</script><style>p{}</style></p>', permissive),
+        '<p>abc</p>',
+      );
+    });
+
+    it('keeps harmless content', () => {
+      assert.equal(
+        run('<p class="a" title="b"><a href="https://example.com/">c</a> <a href="/d">e</a></p>', permissive),
+        '<p class="a" title="b"><a href="https://example.com/">c</a> <a href="/d">e</a></p>',
+      );
+    });
+
+    it('cannot be modified', () => {
+      assert.throws(() => { presets.safe.remove_tags_deep['.*'].push('B'); }, TypeError);
+    });
+  });
+
+  describe('report', () => {
+    it('lists removed, flattened and joined nodes with the causing option and rule', () => {
+      const report = [];
+      assert.equal(
+        run('<p><iframe></iframe><span>abc</span></p><div><b>d</b><b>e</b></div><u>f</u>', {
+          allow_tags_deep: { '.*': '^(P|DIV|B|IFRAME)$' },
+          remove_tags_deep: { P: 'IFRAME' },
+          flatten_tags_direct: { BODY: 'U' },
+          join_siblings: ['B'],
+          report,
+        }),
+        '<p>abc</p><div><b>de</b></div>f',
+      );
+      assert.deepEqual(report.map(({ action, path, tagname }) => [action, path, tagname]), [
+        ['remove', 'BODY > P:nth-child(1) > IFRAME:nth-child(1)', 'IFRAME'],
+        ['flatten', 'BODY > P:nth-child(1) > SPAN:nth-child(1)', 'SPAN'],
+        ['join', 'BODY > DIV:nth-child(2) > B', 'B'],
+        ['flatten', 'BODY > U:nth-child(3)', 'U'],
+      ]);
+      assert.deepEqual(report.map(({ option }) => option), [
+        'remove_tags_deep', null, 'join_siblings', 'flatten_tags_direct',
+      ]);
+      assert.equal(report[0].rule.key.source, 'P');
+      assert.equal(report[0].rule.value.source, 'IFRAME');
+      assert.equal(report[1].rule, null);
+    });
+
+    it('lists removed and changed attributes and classes', () => {
+      const report = [];
+      run('<a class="x y" href="data:,x" onclick="y()" title="T">abc</a><img src="i.png">', {
+        allow_tags_deep: { '.*': '.*' },
+        allow_attributes_by_tag: { '.*': ['href', 'src', 'title'] },
+        remove_attributes_by_tag: { '.*': '^on' },
+        allow_classes_by_tag: { A: 'y' },
+        allow_url_schemes_by_tag: { '.*': '^https$' },
+        allow_attribute_values_by_tag: { A: { title: (value) => value.toLowerCase() } },
+        url_base: 'https://example.com/',
+        report,
+      });
+      assert.deepEqual(
+        report.map(({
+          action, tagname, option, attribute, value, newValue, class: classname,
+        }) => [action, tagname, option, attribute || classname, value, newValue]),
+        [
+          ['remove_class', 'A', 'allow_classes_by_tag', 'x', undefined, undefined],
+          ['remove_attribute', 'A', 'remove_attributes_by_tag', 'onclick', 'y()', undefined],
+          ['remove_attribute', 'A', 'allow_url_schemes_by_tag', 'href', 'data:,x', undefined],
+          ['change_attribute', 'A', 'allow_attribute_values_by_tag', 'title', 'T', 't'],
+          ['change_attribute', 'IMG', 'url_base', 'src', 'i.png', 'https://example.com/i.png'],
+        ],
+      );
+      assert.equal(report[1].rule.value.source, '^on');
+      assert.equal(report[1].path, 'BODY > A:nth-child(1)');
+    });
+
+    it('lists nodes removed and replaced by filters, and empty nodes', () => {
+      const report = [];
+      function removeI() { return null; }
+      run('<i>abc</i><b>def</b><u></u>', {
+        allow_tags_deep: { '.*': '.*' },
+        remove_empty: true,
+        filters_by_tag: {
+          I: [removeI],
+          B: [() => doc.createElement('em')],
+        },
+        report,
+      });
+      assert.deepEqual(report.map(({ action, tagname, option }) => [action, tagname, option]), [
+        ['remove', 'I', 'filters_by_tag'],
+        ['replace', 'B', 'filters_by_tag'],
+        ['remove', 'U', 'remove_empty'],
+      ]);
+      assert.equal(report[0].rule.value, removeI);
+    });
+  });
+
+  describe('dry_run', () => {
+    const opts = {
+      allow_tags_deep: { '.*': '^(P|B)$' },
+      allow_attributes_by_tag: { P: 'title' },
+      dry_run: true,
+    };
+
+    it('leaves the DOM untouched and returns the actions', () => {
+      container.innerHTML = '<p title="a" lang="en"><b>abc</b> <i>def</i></p>';
+      const result = sanitizeChildNodes(doc, container, opts, nodePropertyMap);
+      assert.equal(container.innerHTML, '<p title="a" lang="en"><b>abc</b> <i>def</i></p>');
+      assert.equal(result.clean, false);
+      assert.deepEqual(result.actions.map(({ action, path }) => [action, path]), [
+        ['remove_attribute', 'BODY > P:nth-child(1)'],
+        ['flatten', 'BODY > P:nth-child(1) > I:nth-child(2)'],
+      ]);
+    });
+
+    it('reports already clean content', () => {
+      container.innerHTML = '<p title="a"><b>abc</b> def</p>';
+      assert.deepEqual(
+        sanitizeChildNodes(doc, container, opts, nodePropertyMap),
+        { clean: true, actions: [] },
+      );
+    });
+
+    it('works with sanitizeNode and sanitizeHtml', () => {
+      const par = doc.createElement('P');
+      par.innerHTML = '<span>abc</span>';
+      container.innerHTML = '';
+      container.appendChild(par);
+      assert.equal(sanitizeNode(doc, par, opts).actions[0].tagname, 'SPAN');
+      assert.equal(container.innerHTML, '<p><span>abc</span></p>');
+
+      assert.equal(run('<u>abc</u>', opts).actions[0].action, 'flatten');
+    });
+
+    it('does not run filters', () => {
+      assert.equal(run('<b>abc</b>', {
+        ...opts,
+        filters_by_tag: { B: [() => { throw new Error('filter was run'); }] },
+      }).clean, true);
+    });
+
+    it('respects, but does not remove node properties', () => {
+      container.innerHTML = '<p><span>abc</span></p>';
+      const span = container.getElementsByTagName('span')[0];
+      nodePropertyMap.set(span, { skip: true });
+      assert.equal(sanitizeChildNodes(doc, container, opts, nodePropertyMap).clean, true);
+      assert.equal(nodePropertyMap.get(span).skip, true);
+      nodePropertyMap.delete(span);
+    });
+
+    it('also appends the actions to the report', () => {
+      const report = [];
+      run('<u>abc</u>', { ...opts, report });
+      assert.equal(report.length, 1);
+    });
+  });
+
+  describe('validateHtml', () => {
+    const opts = {
+      allow_tags_direct: { BODY: '^(P|UL)$', P: '^B$', UL: '^LI$' },
+      allow_attributes_by_tag: { B: 'title' },
+      allow_attribute_values_by_tag: { B: { title: '^[a-z]+$' } },
+      allow_classes_by_tag: { P: 'lead' },
+      remove_empty: true,
+    };
+
+    function types(html) {
+      return validateHtml(doc, html, opts).map(({ type, tagname }) => `${type}:${tagname}`);
+    }
+
+    it('returns no violations for valid HTML', () => {
+      assert.deepEqual(validateHtml(doc, '<p class="lead"><b title="a">x</b></p>', opts), []);
+    });
+
+    it('reports disallowed tags and nesting', () => {
+      assert.deepEqual(types('<p><i>x</i></p><ul><li>x</li><b>y</b></ul>'), [
+        'tag:I',
+        'nesting:B',
+      ]);
+    });
+
+    it('reports attributes, attribute values and classes', () => {
+      assert.deepEqual(types('<p class="lead big" lang="en"><b title="A1">x</b></p>'), [
+        'class:P',
+        'attribute:P',
+        'attribute:B',
+      ]);
+    });
+
+    it('reports empty nodes', () => {
+      assert.deepEqual(types('<p>x</p><p></p>'), ['empty:P']);
+    });
+
+    it('does not report URLs resolved against url_base', () => {
+      const urlOpts = {
+        allow_tags_deep: { '.*': '^A$' },
+        allow_attributes_by_tag: { A: '^href$' },
+        allow_url_hosts_by_tag: { A: '^example\\.com$' },
+        url_base: 'https://example.com/',
+      };
+      assert.deepEqual(validateHtml(doc, '<a href="/x">x</a>', urlOpts), []);
+      assert.deepEqual(
+        validateHtml(doc, '<a href="https://other.example/">x</a>', urlOpts)
+          .map(({ type, option }) => `${type}:${option}`),
+        ['attribute:allow_url_hosts_by_tag'],
+      );
+    });
+
+    it('describes each violation', () => {
+      const [violation] = validateHtml(doc, '<ul><p>x</p></ul>', opts);
+      assert.equal(violation.type, 'nesting');
+      assert.equal(violation.parent, 'UL');
+      assert.equal(violation.option, null);
+      assert.equal(
+        violation.message,
+        'P is not allowed in UL (at BODY > UL:nth-child(1) > P:nth-child(1))',
+      );
+    });
+  });
+
+  describe('createStreamSanitizer', () => {
+    function stream(html, opts, chunkSize = 3) {
+      const sanitizer = createStreamSanitizer(opts);
+      let result = '';
+      for (let i = 0; i < html.length; i += chunkSize) {
+        result += sanitizer.write(html.slice(i, i + chunkSize));
+      }
+      return result + sanitizer.end();
+    }
+
+    const samples = [
+      '<div><p>abc <b>def</b></p></div>',
+      '<p title="a" class="x y" onclick="alert(1)">abc<i>def</i></p>',
+      '<ul><li>one<li>two</ul><p>abc<div>def</div>',
+      '<table><tr><td>1<td>2</table>',
+      '<a href="javascript&colon;alert(1)">abc</a> <a href="https://example.com/?a=1&amp;b=2">def</a>',
+      '<p>a &lt; b &amp; c</p><style>p > b { color: red }</style>',
+      '<p><b></b><i> </i><img src="https://example.com/a.png"></p>',
+      '<p>a<!-- b -->c<!--[if IE]>d<![endif]--></p><?e?><!-- f --!>g',
+    ];
+    const optionSets = [
+      {},
+      { allow_tags_deep: { '.*': '.*' } },
+      {
+        allow_tags_direct: { BODY: '^(P|DIV|UL|TABLE)$', '(P|LI|TD)': '^(B|A|IMG)$' },
+        allow_tags_deep: { '(UL|TABLE)': '^(LI|TBODY|TR|TD)$' },
+        flatten_tags_deep: { P: 'I' },
+        allow_attributes_by_tag: { '.*': '.*' },
+        allow_classes_by_tag: { P: 'x' },
+      },
+      mergeOptions(presets.richText, { remove_empty: true }),
+    ];
+
+    optionSets.forEach((opts, index) => {
+      it(`produces the same output as sanitizeHtml (options ${index + 1})`, () => {
+        samples.forEach((html) => {
+          assert.equal(stream(html, opts), run(html, opts), html);
+        });
+      });
+    });
+
+    it('returns output as soon as possible', () => {
+      const sanitizer = createStreamSanitizer({ allow_tags_deep: { '.*': '^(P|B)$' } });
+      assert.equal(sanitizer.write('<p>abc <i>de'), '<p>abc de');
+      assert.equal(sanitizer.write('f</i> <b>ghi'), 'f <b>ghi');
+      assert.equal(sanitizer.end(), '</b></p>');
+    });
+
+    it('holds back start tags of possibly empty nodes', () => {
+      const sanitizer = createStreamSanitizer({ allow_tags_deep: { '.*': '.*' }, remove_empty: true });
+      assert.equal(sanitizer.write('<p><b>'), '');
+      assert.equal(sanitizer.write('</b>abc'), '<p>abc');
+      assert.equal(sanitizer.end(), '</p>');
+    });
+
+    it('removes the content of removed raw text elements', () => {
+      assert.equal(
+        stream('a<script>document.write("<b>x</b>")</script>b', presets.basicFormatting, 5),
+        'ab',
+      );
+    });
+
+    it('parses the content of raw text elements in SVG and MATH as markup', () => {
+      const opts = { allow_tags_deep: { '.*': '^(SVG|MATH|STYLE)$' } };
+      [
+        ['<svg><style><img src=x onerror=alert(1)></style></svg>', '<svg><style></style></svg>'],
+        ['<math><style><img src=x onerror=alert(1)></style></math>', '<math><style></style></math>'],
+        ['<svg><![CDATA[<img src=x onerror=alert(1)>]]></svg>', '<svg>&lt;img src=x onerror=alert(1)&gt;</svg>'],
+      ].forEach(([html, expected]) => {
+        assert.equal(run(html, opts), expected, html);
+        assert.equal(stream(html, opts, 1), expected, html);
+        assert.equal(standalone.sanitizeHtml(html, opts), expected, html);
+      });
+    });
+
+    it('escapes raw text which the output puts into SVG or MATH', () => {
+      const opts = { allow_tags_deep: { '.*': '^(MATH|STYLE)$' } };
+      assert.equal(
+        stream('<math><mtext><style><img src=x onerror=alert(1)></style></mtext></math>', opts),
+        '<math><style>&lt;img src=x onerror=alert(1)&gt;</style></math>',
+      );
+    });
+
+    it('flattens elements and removes comments within kept raw text and RCDATA elements', () => {
+      const opts = {
+        allow_tags_deep: { '.*': exact('STYLE', 'TITLE', 'A') },
+        allow_attributes_by_tag: { A: 'title' },
+      };
+      const html = '<svg><style><a title="</style><img src=x onerror=alert(1)>"></a></style></svg>'
+        + '<svg><title><a title="</title><img src=x onerror=alert(1)>">t</a></title></svg>';
+      const output = stream(html, opts)
+        + stream('<svg><style><!--</style><img src=x onerror=alert(1)>--></style></svg>', {
+          ...opts, keep_comments: true,
+        });
+      assert.equal(output, '<style></style><title>t</title><style></style>');
+
+      const reparsed = doc.createElement('div');
+      reparsed.innerHTML = output;
+      assert.equal(reparsed.getElementsByTagName('img').length, 0);
+    });
+
+    it('throws on unsupported options', () => {
+      assert.throws(() => createStreamSanitizer({ join_siblings: ['B'] }), /join_siblings/);
+      assert.throws(() => createStreamSanitizer({ filters_by_tag: { B: [] } }), /filters_by_tag/);
+    });
+  });
+
+  describe('standalone', () => {
+    const opts = mergeOptions(presets.richText, { allow_classes_by_tag: { P: 'lead' } });
+
+    it('sanitizes HTML without a DOM implementation', () => {
+      const html = '<p class="lead x">abc <b onclick="x()">def</b><script>x()</script></p>'
+        + '<ul><li>one<li>two</ul><a href="javascript:x()">ghi</a> &amp; &copy;';
+      assert.equal(standalone.sanitizeHtml(html, opts), run(html, opts));
+    });
+
+    it('sanitizes documents', () => {
+      const html = '<!DOCTYPE html><html><head><title>t</title></head><body><p>abc</p></body></html>';
+      assert.equal(
+        standalone.sanitizeHtml(html, { allow_tags_direct: { '.*': '.*' } }, true),
+        '<html><head><title>t</title></head><body><p>abc</p></body></html>',
+      );
+    });
+
+    it('escapes raw text in SVG and MATH elements', () => {
+      const html = '<math><mtext><style><img src=x onerror=alert(1)></style></mtext></math>';
+      assert.equal(
+        standalone.sanitizeHtml(html, { allow_tags_deep: { '.*': '^(MATH|STYLE)$' } }),
+        '<math><style>&lt;img src=x onerror=alert(1)&gt;</style></math>',
+      );
+      assert.equal(
+        standalone.sanitizeHtml('<svg><desc><style>a>b</style></desc></svg>', { allow_tags_deep: { '.*': '.*' } }),
+        '<svg><desc><style>a&gt;b</style></desc></svg>',
+      );
+    });
+
+    it('removes elements, comments and end tags within kept raw text and RCDATA elements', () => {
+      const textOnly = {
+        allow_tags_deep: { '.*': exact('STYLE', 'TITLE', 'A') },
+        allow_attributes_by_tag: { A: 'title' },
+        keep_comments: true,
+      };
+      const html = '<svg><style><a title="</style><img src=x onerror=alert(1)>"></a></style></svg>'
+        + '<svg><title><a title="</title><img src=x onerror=alert(1)>">t</a></title></svg>'
+        + '<svg><style><!--</style><img src=x onerror=alert(1)>--></style></svg>'
+        + '<svg><style>&lt;/style&gt;&lt;img src=x onerror=alert(1)&gt;</style></svg>';
+      const expected = '<style></style><title>t</title><style></style><style></style>';
+      assert.equal(run(html, textOnly), expected);
+      assert.equal(standalone.sanitizeHtml(html, textOnly), expected);
+
+      const reparsed = doc.createElement('div');
+      reparsed.innerHTML = run(html, textOnly) + standalone.sanitizeHtml(html, textOnly);
+      assert.equal(reparsed.getElementsByTagName('img').length, 0);
+    });
+
+    it('serializes the content of raw text and RCDATA elements as text', () => {
+      const standaloneDoc = standalone.createDocument();
+      const style = standaloneDoc.createElement('style');
+      const a = style.appendChild(standaloneDoc.createElement('a'));
+      a.setAttribute('title', '</style><img src=x onerror=alert(1)>');
+      a.textContent = 'a>b';
+      style.appendChild(standaloneDoc.createComment('</style><img src=x onerror=alert(1)>'));
+      assert.equal(style.outerHTML, '<style>a>b</style>');
+
+      style.appendChild(standaloneDoc.createTextNode('</style><img src=x onerror=alert(1)>'));
+      assert.equal(style.outerHTML, '<style>a&gt;b&lt;/style&gt;&lt;img src=x onerror=alert(1)&gt;</style>');
+
+      const title = standaloneDoc.createElement('title');
+      title.appendChild(standaloneDoc.createElement('b')).textContent = '</title>';
+      assert.equal(title.outerHTML, '<title>&lt;/title&gt;</title>');
+    });
+
+    it('validates HTML without a DOM implementation', () => {
+      assert.deepEqual(
+        standalone.validateHtml('<p><span>abc</span></p>', opts).map(({ type }) => type),
+        ['tag'],
+      );
+    });
+  });
+
+  describe('createSanitizer', () => {
+    function deepFreeze(object) {
+      Object.getOwnPropertyNames(object).forEach((key) => {
+        if (object[key] && typeof object[key] === 'object') deepFreeze(object[key]);
+      });
+      return Object.freeze(object);
+    }
+
+    const opts = deepFreeze({
+      allow_tags_deep: { '.*': '^(P|B|A)$' },
+      allow_attributes_by_tag: { A: 'href' },
+      allow_attribute_values_by_tag: { A: { href: '^https:' } },
+      join_siblings: ['B'],
+    });
+    const sanitizer = createSanitizer(opts);
+
+    it('sanitizes like the functions taking options, and can be reused', () => {
+      ['<p><b>a</b><b>b</b> <i>c</i></p>', '<a href="http://x">d</a><a href="https://x">e</a>']
+        .forEach((html) => {
+          assert.equal(sanitizer.sanitizeHtml(doc, html), run(html, opts));
+          assert.equal(sanitizer.sanitizeHtml(doc, html), run(html, opts));
+        });
+
+      container.innerHTML = '<p><u>abc</u></p>';
+      sanitizer.sanitizeChildNodes(doc, container);
+      assert.equal(container.innerHTML, '<p>abc</p>');
+
+      const par = doc.createElement('P');
+      par.innerHTML = '<b>abc</b><span>def</span>';
+      sanitizer.sanitizeNode(doc, par);
+      assert.equal(par.innerHTML, '<b>abc</b>def');
+    });
+
+    it('supports validation and dry runs', () => {
+      assert.equal(sanitizer.validateHtml(doc, '<p><u>abc</u></p>')[0].type, 'tag');
+      assert.equal(
+        createSanitizer({ ...opts, dry_run: true }).sanitizeHtml(doc, '<u>abc</u>').clean,
+        false,
+      );
+    });
+
+    it('is not affected by later changes of the options', () => {
+      const mutable = { allow_tags_deep: { '.*': 'P' }, join_siblings: [] };
+      const fixed = createSanitizer(mutable);
+      mutable.allow_tags_deep['.*'] = 'B';
+      mutable.join_siblings.push('P');
+      assert.equal(fixed.sanitizeHtml(doc, '<p>a</p><p>b</p><b>c</b>'), '<p>a</p><p>b</p>c');
+    });
+  });
+
+  describe('validateOptions', () => {
+    it('accepts the presets and empty options', () => {
+      assert.deepEqual(validateOptions({}), []);
+      Object.keys(presets).forEach((name) => {
+        assert.deepEqual(validateOptions(presets[name]), [], name);
+      });
+      assert.deepEqual(validateOptions({ report: undefined, url_base: null }), []);
+    });
+
+    it('rejects unknown options with suggestions', () => {
+      assert.deepEqual(validateOptions({ allow_tag_deep: {}, Remove_Empty: true, colour: 1 }), [
+        {
+          path: 'allow_tag_deep',
+          message: 'Unknown option \'allow_tag_deep\' (did you mean \'allow_tags_deep\'?)',
+        },
+        {
+          path: 'Remove_Empty',
+          message: 'Unknown option \'Remove_Empty\' (did you mean \'remove_empty\'?)',
+        },
+        { path: 'colour', message: 'Unknown option \'colour\'' },
+      ]);
+    });
+
+    it('checks the shapes of the values', () => {
+      const problems = validateOptions({
+        allow_tags_deep: 'P',
+        allow_attributes_by_tag: { A: ['href', 3] },
+        allow_attribute_values_by_tag: { A: 'href', IMG: { src: [null, () => true] } },
+        filters_by_tag: { P: [() => {}, 'filter'] },
+        remove_empty: 'yes',
+        url_base: '/articles/',
+        join_siblings: 'B',
+        report: {},
+      });
+      assert.deepEqual(problems.map(({ path }) => path), [
+        'allow_tags_deep',
+        'allow_attributes_by_tag["A"][1]',
+        'allow_attribute_values_by_tag["A"]',
+        'allow_attribute_values_by_tag["IMG"]["src"][0]',
+        'filters_by_tag["P"][1]',
+        'remove_empty',
+        'url_base',
+        'report',
+      ]);
+      assert.equal(problems[0].message, 'Expected an object (ParentChildSpec), got a string');
+      assert.ok(problems[3].message.startsWith('Expected a rule '));
+      assert.equal(problems[6].message, 'Expected an absolute URL, got \'/articles/\'');
+    });
+
+    it('reports invalid regular expressions with the option path', () => {
+      const problems = validateOptions({
+        allow_tags_deep: { '.*': ['P', '(B'], '[': 'I' },
+      });
+      assert.deepEqual(problems.map(({ path }) => path), [
+        'allow_tags_deep[".*"][1]',
+        'allow_tags_deep["["]',
+      ]);
+      assert.ok(problems[0].message.startsWith('Invalid regular expression: '));
+    });
+
+    it('makes the sanitizer throw for invalid options', () => {
+      assert.throws(
+        () => sanitizeHtml(doc, '<p>abc</p>', { allow_tag_deep: { '.*': 'P' } }),
+        (e) => e.message === 'Invalid options:\n- allow_tag_deep: Unknown option '
+          + '\'allow_tag_deep\' (did you mean \'allow_tags_deep\'?)'
+          && e.problems.length === 1,
+      );
+      assert.throws(() => createSanitizer({ flatten_tags_deep: { '.*': '(' } }), /flatten_tags_deep/);
+      assert.throws(() => createStreamSanitizer({ remove_empty: 1 }), /remove_empty/);
+    });
+  });
+
+  describe('rules', () => {
+    it('matches arrays of names exactly', () => {
+      assert.equal(
+        run('<p>a</p><pre>b</pre><span class="note notes">c</span>', {
+          allow_tags_deep: ['P', 'span'],
+          allow_classes_by_tag: ['note'],
+        }),
+        '<p>a</p>b<span class="note">c</span>',
+      );
+      assert.equal(
+        run('<p><b>a</b><br><bdo>b</bdo></p>', { allow_tags_deep: { '.*': [['P', 'B'], exact('BR')] } }),
+        '<p><b>a</b><br>b</p>',
+      );
+    });
+
+    it('uses RegExps with their own flags', () => {
+      const regex = /^(p|b)$/g; // without the i flag, and with a g flag which must not matter
+      assert.equal(run('<p><b>a</b><b>b</b></p>', { allow_tags_deep: { '.*': regex } }), 'ab');
+      assert.equal(
+        run('<p><b>a</b><b>b</b></p>', { allow_tags_deep: { '.*': /^(p|b)$/gi } }),
+        '<p><b>a</b><b>b</b></p>',
+      );
+    });
+
+    it('accepts Maps with rules as keys', () => {
+      const opts = {
+        allow_tags_deep: ['UL', 'OL', 'DIV'],
+        allow_tags_direct: new Map([[['UL', 'OL'], /^LI$/i], [/^DIV$/i, exact('P')]]),
+      };
+      assert.equal(
+        run('<ul><li>a</li></ul><div><li>b</li><p>c</p></div>', opts),
+        '<ul><li>a</li></ul><div>b<p>c</p></div>',
+      );
+    });
+
+    it('matches CSS selectors', () => {
+      const opts = {
+        allow_tags_deep: { '.*': [['UL', 'OL'], selector('ul > li'), selector('a[target]')] },
+        allow_tags_direct: new Map([[selector('div.box'), ['P']], ['BODY', selector('div')]]),
+        allow_attributes_by_tag: new Map([[selector('a[href^="https:"]'), 'target']]),
+        allow_classes_by_tag: { DIV: 'box' },
+      };
+      assert.equal(
+        run(
+          '<ul><li>a</li></ul><ol><li>b</li></ol>'
+          + '<a target="x" href="https://x">c</a><a target="x">d</a><a>e</a>'
+          + '<div class="box"><p>f</p></div><div><p>g</p></div>',
+          opts,
+        ),
+        '<ul><li>a</li></ul><ol>b</ol><a target="x">c</a><a>d</a>e'
+        + '<div class="box"><p>f</p></div><div>g</div>',
+      );
+    });
+
+    it('are validated', () => {
+      assert.deepEqual(validateOptions({
+        allow_tags_deep: ['P', 'B'],
+        allow_tags_direct: new Map([[selector('div'), [/^P$/, ['B'], exact('I')]]]),
+        filters_by_tag: new Map([[['P'], () => true]]),
+      }), []);
+      assert.deepEqual(
+        validateOptions({ allow_tags_deep: ['P', 1], allow_tags_direct: new Map([[{}, 'P']]) })
+          .map(({ path }) => path),
+        ['allow_tags_deep[1]', 'allow_tags_direct[[object Object]]'],
+      );
+    });
+
+    it('are supported by the stream sanitizer, except selectors', () => {
+      const sanitizer = createStreamSanitizer({ allow_tags_deep: { '.*': [['P'], /^b$/i] } });
+      assert.equal(sanitizer.write('<p><bdo>a</bdo><b>b</b></p>') + sanitizer.end(), '<p>a<b>b</b></p>');
+      assert.throws(
+        () => createStreamSanitizer({ allow_tags_deep: { '.*': selector('p') } }),
+        /Selector rules are not supported/,
+      );
+    });
+  });
+
+  describe('Element.matches', () => {
+    it('supports the selectors used by selector rules', () => {
+      container.innerHTML = '<ul id="list"><li class="a b">1</li><li lang="en-US">2</li></ul>'
+        + '<p><a href="https://x/y.pdf" target="_blank">3</a><span></span></p>';
+      const [ul, li1, li2, p, a, span] = ['UL', 'LI', 'LI:last-child', 'P', 'A', 'SPAN']
+        .map((name, i) => (i === 2
+          ? container.getElementsByTagName('LI')[1]
+          : container.getElementsByTagName(name)[0]));
+      const cases = [
+        [ul, 'ul', true], [ul, '#list', true], [ul, '*', true], [ul, 'ul.a', false],
+        [li1, 'ul > li', true], [li1, '.a.b', true], [li1, 'li:first-child', true],
+        [li2, 'li + li', true], [li1, 'li ~ li', false], [li2, '[lang|=en]', true],
+        [li2, ':not(.a)', true], [li2, 'li:not(.a, .b)', true], [li1, ':last-child', false],
+        [a, 'a[target]', true], [a, 'a[href$=".PDF" i]', true], [a, 'a[href^=http]', true],
+        [a, 'ul a', false], [a, 'p a, ul a', true], [span, 'a ~ span:empty', true],
+        [p, 'ul + p', true], [span, ':only-child', false], [a, '[href*="x/y"]', true],
+      ];
+      cases.forEach(([element, css, expected]) => {
+        assert.equal(element.matches(css), expected, css);
+      });
+    });
+  });
+
+  describe('transform_attributes_by_tag', () => {
+    const opts = {
+      allow_tags_deep: { '.*': ['A', 'IMG', 'P'] },
+      allow_attributes_by_tag: { A: ['href', 'rel'], IMG: ['src', 'width', 'height'], '.*': ['lang', 'id'] },
+      transform_attributes_by_tag: {
+        A: {
+          rel: transforms.whenExternal(transforms.addTokens('noopener', 'noreferrer'), ['own.example']),
+          target: transforms.whenExternal(transforms.setValue('_blank'), ['own.example']),
+        },
+        IMG: { width: transforms.clampNumber(1, 800), height: transforms.clampNumber(1, 600) },
+        '.*': { lang: transforms.lowerCase(), id: transforms.addPrefix('user-') },
+      },
+    };
+
+    it('adds attributes to external links', () => {
+      assert.equal(
+        run('<a href="https://other.example/" rel="nofollow" target="x">a</a><a href="/b">b</a>'
+          + '<a href="https://own.example/">c</a>', opts),
+        '<a href="https://other.example/" rel="nofollow noopener noreferrer" target="_blank">a</a>'
+        + '<a href="/b">b</a><a href="https://own.example/">c</a>',
+      );
+    });
+
+    it('rewrites and removes attribute values', () => {
+      assert.equal(
+        run('<p lang="EN-us" id="intro"><img src="a.png" width="2000" height="x"></p>'
+          + '<p id="user-intro"></p>', opts),
+        '<p lang="en-us" id="user-intro"><img src="a.png" width="800"></p><p id="user-intro"></p>',
+      );
+    });
+
+    it('runs the transformers in order, after filtering', () => {
+      const calls = [];
+      const result = run('<p title="abc" data-x="1">a</p>', {
+        allow_tags_deep: { '.*': 'P' },
+        allow_attributes_by_tag: { P: 'title' },
+        transform_attributes_by_tag: {
+          P: {
+            'DATA-X': (value) => { calls.push(value); return undefined; },
+            title: [(value) => `${value}d`, (value, { node, attribute }) => {
+              calls.push([node.nodeName, attribute]);
+              return value.toUpperCase();
+            }],
+          },
+        },
+      });
+      assert.equal(result, '<p title="ABCD">a</p>');
+      assert.deepEqual(calls, [null, ['P', 'title']]);
+    });
+
+    it('reports changes, which are not violations', () => {
+      const report = [];
+      run('<a href="https://x.example/">a</a>', { ...opts, report });
+      assert.deepEqual(
+        report.map(({ action, attribute, value }) => [action, attribute, value]),
+        [['add_attribute', 'rel', null], ['add_attribute', 'target', null]],
+      );
+      assert.equal(report[0].option, 'transform_attributes_by_tag');
+      assert.equal(report[0].newValue, 'noopener noreferrer');
+      assert.deepEqual(validateHtml(doc, '<a href="https://x.example/">a</a>', opts), []);
+    });
+
+    it('is supported by the stream sanitizer', () => {
+      const html = '<p lang="DE" id="x"><a href="https://x.example/">a</a><img width="0"></p>';
+      const sanitizer = createStreamSanitizer(opts);
+      assert.equal(sanitizer.write(html) + sanitizer.end(), run(html, opts));
+    });
+  });
+
+  describe('allow_styles_by_tag', () => {
+    const opts = {
+      allow_tags_deep: { '.*': '^(P|SPAN|DIV)$' },
+      allow_styles_by_tag: {
+        '^P$': { '^text-align$': '^(left|right|center)$' },
+        '.*': ['^color$', '^font-weight$'],
+      },
+    };
+
+    it('keeps only allowed declarations', () => {
+      assert.equal(
+        run('<p style="text-align: center; color:red; margin: 0">a</p>'
+          + '<span style="text-align: center; font-weight: bold !important">b</span>'
+          + '<p style="text-align: justify; margin: 0">c</p>', opts),
+        '<p style="text-align: center; color: red">a</p>'
+        + '<span style="font-weight: bold !important">b</span><p>c</p>',
+      );
+    });
+
+    it('leaves allowed style attributes as they are', () => {
+      assert.equal(run('<p style="COLOR:red;">a</p>', opts), '<p style="COLOR:red;">a</p>');
+    });
+
+    it('accepts a single exact rule for the properties', () => {
+      const exactOpts = {
+        allow_tags_deep: { '.*': '^P$' },
+        allow_styles_by_tag: { '.*': exact('color') },
+      };
+      assert.deepEqual(validateOptions(exactOpts), []);
+      assert.equal(
+        run('<p style="color: red; margin: 0">a</p>', exactOpts),
+        '<p style="color: red">a</p>',
+      );
+    });
+
+    it('removes declarations which could load content or run code', () => {
+      const anything = { allow_tags_deep: { '.*': 'P' }, allow_styles_by_tag: { '.*': '.*' } };
+      [
+        'background: url(https://x.example/a.png)',
+        'background-image: image-set("a.png" 1x)',
+        'width: expression(alert(1))',
+        'color: \\72 ed',
+        'behavior: a.htc',
+        'font-family: "a;b"; color: e/**/xpression(alert(1))',
+      ].forEach((style) => {
+        const result = run(`<p style='${style}'>a</p>`, anything);
+        assert.ok(!/url|image|expression|behavior|\\/.test(result), result);
+      });
+      assert.equal(
+        run('<p style=\'font-family: "a;b"; color: red; x\'>a</p>', anything),
+        '<p style="font-family: &quot;a;b&quot;; color: red">a</p>',
+      );
+    });
+
+    it('runs validators on the values', () => {
+      assert.equal(
+        run('<p style="color: RED; margin: 1px 2px">a</p>', {
+          allow_tags_deep: { '.*': 'P' },
+          allow_styles_by_tag: {
+            P: {
+              color: (value, { node, property }) => node.nodeName === 'P' && property === 'color'
+                && value.toLowerCase(),
+              margin: (value) => value.split(' ').length === 1,
+            },
+          },
+        }),
+        '<p style="color: red">a</p>',
+      );
+    });
+
+    it('treats style attributes without style rules like other attributes', () => {
+      const html = '<div style="margin: 0">a</div>';
+      assert.equal(run(html, {
+        allow_tags_deep: { '.*': 'DIV' },
+        allow_attributes_by_tag: { DIV: 'style' },
+        allow_styles_by_tag: { P: 'color' },
+      }), html);
+      assert.equal(
+        run('<p style="color: red" title="b">a</p>', { ...opts, remove_attributes_by_tag: { P: 'style' } }),
+        '<p>a</p>',
+      );
+    });
+
+    it('is used by the safe preset', () => {
+      const html = '<p style="text-align: right; background: url(x.png)">a</p>';
+      const allowAll = { allow_tags_deep: { '.*': '.*' }, allow_attributes_by_tag: { '.*': '.*' } };
+      assert.equal(run(html, mergeOptions(presets.safe, allowAll)), '<p>a</p>');
+      assert.equal(
+        run(html, mergeOptions(presets.safe, allowAll, {
+          allow_styles_by_tag: { '.*': { 'text-align': '.*' } },
+        })),
+        '<p style="text-align: right">a</p>',
+      );
+    });
+
+    it('reports removed declarations', () => {
+      const report = [];
+      run('<p style="color: red; margin: 0">a</p>', { ...opts, report });
+      assert.deepEqual(
+        report.map(({ action, property, value }) => [action, property, value]),
+        [['remove_style', 'margin', '0']],
+      );
+      assert.deepEqual(
+        validateHtml(doc, '<p style="color: red; margin: 0">a</p>', opts).map(({ type }) => type),
+        ['style'],
+      );
+    });
+
+    it('is supported by the stream sanitizer', () => {
+      const html = '<p style="color: red; margin: 0">a<span style="margin: 0">b</span></p>';
+      const sanitizer = createStreamSanitizer(opts);
+      assert.equal(sanitizer.write(html) + sanitizer.end(), run(html, opts));
+    });
+  });
+
+  describe('filters.styleSheet', () => {
+    const opts = (options) => ({
+      filters_by_tag: { '^STYLE$': [filters.styleSheet(options)] },
+      allow_tags_deep: { '.*': exact('STYLE', 'P') },
+    });
+
+    it('removes at-rules, remote content and disallowed properties', () => {
+      const css = '/* x */ @import "a.css"; @font-face { font-family: a; src: url(a.woff) }'
+        + ' p { color: red; position: fixed; background: url(http://x.example/a.png) }'
+        + ' @media (max-width: 600px) { p { width: 100% !important; behavior: url(a.htc) } }'
+        + ' @page { margin: 0 }';
+      assert.equal(
+        run(`<style>${css}</style><p>a</p>`, opts()),
+        '<style>p { color: red }\n@media (max-width: 600px) {\np { width: 100% !important }\n}</style>'
+        + '<p>a</p>',
+      );
+    });
+
+    it('scopes the selectors', () => {
+      const css = 'p, .a > b { color: red } body { margin: 0 } html body > p { color: blue }'
+        + ' @keyframes x { from { color: red } to { color: blue } }';
+      assert.equal(
+        run(`<style>${css}</style>`, opts({ scope: '.message' })),
+        '<style>.message p, .message .a > b { color: red }\n.message { margin: 0 }\n'
+        + '.message > p { color: blue }\n@keyframes x {\nfrom { color: red }\nto { color: blue }\n}'
+        + '</style>',
+      );
+    });
+
+    it('uses the property allowlist', () => {
+      const allowProperties = {
+        color: '^(red|blue)$',
+        margin: (value, { node, property }) => node.nodeName === 'STYLE' && property === 'margin'
+          && value.replace(/-\d+/g, '0'),
+      };
+      assert.equal(
+        run('<style>p { color: red; margin: -5px } b { color: green; font-size: 2em }</style>', opts({
+          allow_properties: allowProperties,
+        })),
+        '<style>p { color: red; margin: 0px }</style>',
+      );
+      assert.equal(
+        run('<style>p { color: red; font-size: 2em }</style>', opts({ allow_properties: 'font' })),
+        '<style>p { font-size: 2em }</style>',
+      );
+    });
+
+    it('removes style sheets without rules', () => {
+      assert.equal(run('<style>@import "a.css";</style><p>a</p>', opts()), '<p>a</p>');
+      assert.equal(run('<style>p { position: fixed }</style>', opts()), '');
+    });
+
+    it('keeps strings with braces and separators', () => {
+      assert.equal(
+        run('<style>a[title="}, {"] { font-family: "a;b" }</style>', opts()),
+        '<style>a[title="}, {"] { font-family: "a;b" }</style>',
+      );
+    });
+  });
+
+  describe('rename_tags_*', () => {
+    const opts = {
+      rename_tags_deep: { '.*': { '^B$': 'STRONG', '^I$': 'EM', '^FONT$': 'span' } },
+      rename_tags_direct: { '^LI$': { '^DIV$': 'P' } },
+      allow_tags_deep: { '.*': exact('STRONG', 'EM', 'SPAN', 'P', 'UL', 'LI', 'DIV') },
+      allow_attributes_by_tag: { SPAN: 'title' },
+    };
+
+    it('renames tags and keeps their children and allowed attributes', () => {
+      assert.equal(
+        run('<b>a<i>b</i></b><font title="t" color="red">c</font>'
+          + '<ul><li><div>d</div></li></ul><div>e</div>', opts),
+        '<strong>a<em>b</em></strong><span title="t">c</span>'
+        + '<ul><li><p>d</p></li></ul><div>e</div>',
+      );
+    });
+
+    it('removes renamed empty nodes with remove_empty', () => {
+      const emptyOpts = { ...opts, remove_empty: true };
+      const report = [];
+      assert.equal(run('<p>a<b></b></p>', { ...emptyOpts, report }), '<p>a</p>');
+      assert.deepEqual(
+        report.map(({ action, tagname }) => `${action}:${tagname}`),
+        ['rename:B', 'remove:STRONG'],
+      );
+      const sanitizer = createStreamSanitizer(emptyOpts);
+      assert.equal(sanitizer.write('<p>a<b></b></p>') + sanitizer.end(), '<p>a</p>');
+    });
+
+    it('sanitizes renamed nodes with their new tag name', () => {
+      assert.equal(
+        run('<b>a</b><i>b</i>', { ...opts, remove_tags_deep: { '.*': exact('EM') } }),
+        '<strong>a</strong>',
+      );
+      assert.equal(
+        run('<div><b>a</b></div>', { ...opts, allow_tags_direct: { '^DIV$': exact('B') } }),
+        '<div><strong>a</strong></div>',
+      );
+    });
+
+    it('is reported, but is no violation', () => {
+      const report = [];
+      run('<b>a</b>', { ...opts, report });
+      assert.deepEqual(
+        report.map(({ action, option, newTagname }) => [action, option, newTagname]),
+        [['rename', 'rename_tags_deep', 'STRONG']],
+      );
+      assert.deepEqual(validateHtml(doc, '<b>a</b><ul><li><div>b</div></li></ul>', opts), []);
+    });
+
+    it('is supported by the stream sanitizer', () => {
+      const html = '<b>a<i>b</i></b><font title="t">c</font><ul><li><div>d</div></li></ul>';
+      const sanitizer = createStreamSanitizer(opts);
+      assert.equal(sanitizer.write(html) + sanitizer.end(), run(html, opts));
+
+      const style = { rename_tags_deep: { '.*': { STYLE: 'P' } }, allow_tags_deep: { '.*': 'P' } };
+      const styleSanitizer = createStreamSanitizer(style);
+      assert.equal(styleSanitizer.write('<style>a<b></style>') + styleSanitizer.end(), '<p>a&lt;b&gt;</p>');
+    });
+
+    it('rejects invalid and raw text tag names', () => {
+      assert.deepEqual(
+        validateOptions({ rename_tags_deep: { '.*': { B: 'script', I: 'a b' } } })
+          .map(({ message }) => message),
+        ["Can't rename to the raw text element SCRIPT", "Expected a tag name, got 'a b'"],
+      );
+    });
+
+    it('rejects RCDATA tag names, which would turn attribute values into markup', () => {
+      const html = '<div><img title="</textarea><img src=x onerror=alert(1)>"></div>'
+        + '<span><img title="</title><img src=x onerror=alert(1)>"></span>';
+      const rcdata = {
+        rename_tags_deep: { '.*': { '^DIV$': 'TEXTAREA', '^SPAN$': 'TITLE' } },
+        allow_tags_deep: { '.*': exact('TEXTAREA', 'TITLE', 'IMG') },
+        allow_attributes_by_tag: { IMG: 'title' },
+      };
+      assert.deepEqual(
+        validateOptions(rcdata).map(({ message }) => message),
+        ["Can't rename to the raw text element TEXTAREA", "Can't rename to the raw text element TITLE"],
+      );
+      assert.throws(() => run(html, rcdata), /TEXTAREA/);
+      assert.throws(() => standalone.sanitizeHtml(html, rcdata), /TEXTAREA/);
+      assert.throws(() => createStreamSanitizer(rcdata), /TEXTAREA/);
+
+      // Without the renames, the output is safe to parse again.
+      const { rename_tags_deep: renames, ...allow } = rcdata;
+      const reparsed = doc.createElement('div');
+      const sanitizer = createStreamSanitizer(allow);
+      reparsed.innerHTML = run(html, allow) + standalone.sanitizeHtml(html, allow)
+        + sanitizer.write(html) + sanitizer.end();
+      assert.equal(reparsed.getElementsByTagName('img').length, 6);
+      assert.deepEqual(
+        Array.from(reparsed.getElementsByTagName('img')).filter((img) => img.hasAttribute('onerror')),
+        [],
+      );
+    });
+
+    it('replaces the new tag names when merging options', () => {
+      assert.deepEqual(
+        mergeOptions(opts, { rename_tags_deep: { '.*': { '^B$': 'B' } } }).rename_tags_deep,
+        { '.*': { '^B$': 'B', '^I$': 'EM', '^FONT$': 'span' } },
+      );
+    });
+  });
+
+  describe('normalize', () => {
+    const allow = {
+      allow_tags_deep: { '.*': exact('B', 'I', 'DIV', 'P', 'H1', 'UL', 'OL', 'LI', 'SPAN') },
+    };
+
+    it('wraps inline content of the root', () => {
+      const opts = { ...allow, normalize: { wrap_inline: 'p' } };
+      assert.equal(
+        run('abc <b>def</b> <div>ghi</div> <i>jkl</i><p>mno</p>', opts),
+        '<p>abc <b>def</b></p> <div>ghi</div> <p><i>jkl</i></p><p>mno</p>',
+      );
+      assert.equal(run('<div>abc <p>def</p></div>', opts), '<div>abc <p>def</p></div>');
+    });
+
+    it('wraps list items which are not in a list', () => {
+      assert.equal(
+        run('<li>a</li> <li>b</li><div><li>c</li></div><ol><li>d</li></ol>', {
+          ...allow,
+          normalize: { wrap_list_items: 'UL' },
+        }),
+        '<ul><li>a</li> <li>b</li></ul><div><ul><li>c</li></ul></div><ol><li>d</li></ol>',
+      );
+    });
+
+    it('flattens blocks within phrasing content', () => {
+      assert.equal(
+        run('<b>a<div>b<i>c</i></div></b><h1><span><div>d</div></span></h1><div><p>e</p></div>', {
+          ...allow,
+          normalize: { unnest_blocks: true },
+        }),
+        '<b>ab<i>c</i></b><h1><span>d</span></h1><div><p>e</p></div>',
+      );
+    });
+
+    it('merges text nodes', () => {
+      const node = doc.createElement('div');
+      node.appendChild(doc.createTextNode('a'));
+      node.appendChild(doc.createTextNode('b'));
+      node.appendChild(doc.createElement('span')).appendChild(doc.createTextNode('c'));
+      sanitizeChildNodes(doc, node, { ...allow, normalize: { merge_text: true } });
+      assert.deepEqual(Array.from(node.childNodes).map(({ nodeType }) => nodeType), [3, 1]);
+      assert.equal(node.firstChild.data, 'ab');
+    });
+
+    it('is reported and validated', () => {
+      const opts = { ...allow, normalize: { wrap_inline: 'P', unnest_blocks: true } };
+      assert.deepEqual(
+        validateHtml(doc, '<div>a</div><b><div>b</div></b>', opts)
+          .map(({ type, message }) => [type, message]),
+        [
+          ['nesting', 'DIV is not allowed in B (at BODY > B:nth-child(2) > DIV:nth-child(1))'],
+          ['structure', 'B must be wrapped in P (at BODY > B:nth-child(2))'],
+        ],
+      );
+      assert.deepEqual(validateHtml(doc, '<div>a</div><p><b>b</b></p>', opts), []);
+    });
+
+    it('rejects invalid settings', () => {
+      assert.deepEqual(
+        validateOptions({ normalize: { wrap_inline: 'script', unnest: true } }),
+        [
+          { path: 'normalize.wrap_inline', message: "Can't wrap in the raw text element SCRIPT" },
+          { path: 'normalize.unnest', message: "Unknown option 'unnest'" },
+        ],
+      );
+      assert.throws(() => createStreamSanitizer({ normalize: { merge_text: true } }), /normalize/);
+    });
+  });
+
+  describe('text cleanup', () => {
+    const allow = { allow_tags_deep: { '.*': exact('B', 'DIV', 'P', 'PRE', 'CODE') } };
+
+    it('collapses whitespace, except in preformatted elements', () => {
+      assert.equal(
+        run('<p>a \n\t b&nbsp;&nbsp;c&nbsp;d</p><pre>a  b <b>c  d</b></pre><code>e  f</code>', {
+          ...allow,
+          collapse_whitespace: true,
+        }),
+        '<p>a b c&nbsp;d</p><pre>a  b <b>c  d</b></pre><code>e  f</code>',
+      );
+    });
+
+    it('collapses whitespace where text nodes are joined', () => {
+      assert.equal(
+        run('<p>a <span> b</span></p>', { ...allow, collapse_whitespace: true }),
+        '<p>a b</p>',
+      );
+    });
+
+    it('removes invisible characters', () => {
+      assert.equal(
+        run('<p>a\u200Bb\u00ADc\uFEFFd\u202Ee\u0007f\u200Dg</p><p>\u200B</p>', {
+          ...allow,
+          remove_invisible_characters: true,
+        }),
+        '<p>abcdef\u200Dg</p><p></p>',
+      );
+    });
+
+    it('trims blocks', () => {
+      assert.equal(
+        run('\n<p> a <b> b </b> </p>\n<div> c <p> d</p>\n<i>e</i> </div>', { ...allow, trim_blocks: true }),
+        '<p>a <b> b </b></p><div>c<p>d</p>e</div>',
+      );
+    });
+
+    it('is reported, but is no violation', () => {
+      const opts = { ...allow, collapse_whitespace: true, trim_blocks: true };
+      const result = sanitizeHtml(doc, '<p> a  b</p>', { ...opts, dry_run: true });
+      assert.deepEqual(
+        result.actions.map(({ option, value, newValue }) => [option, value, newValue]),
+        [['collapse_whitespace', ' a  b', ' a b'], ['trim_blocks', ' a b', 'a b']],
+      );
+      assert.deepEqual(validateHtml(doc, '<p> a  b</p>', opts), []);
+    });
+  });
+
+  describe('remove_empty settings', () => {
+    const allow = {
+      allow_tags_deep: { '.*': exact('B', 'BR', 'DIV', 'P', 'TABLE', 'TBODY', 'TD', 'TR') },
+    };
+
+    it('treats whitespace and BR elements as empty', () => {
+      const html = '<p> &nbsp; </p><p><br></p><p>a<br></p>';
+      assert.equal(
+        run(html, { ...allow, remove_empty: { whitespace: true } }),
+        '<p><br></p><p>a<br></p>',
+      );
+      assert.equal(
+        run(html, { ...allow, remove_empty: { whitespace: true, br: true } }),
+        '<p>a<br></p>',
+      );
+    });
+
+    it('removes parents which only contained empty elements', () => {
+      assert.equal(
+        run('<div>\n<p> <b></b> </p>\n</div>a', { ...allow, remove_empty: { whitespace: true } }),
+        'a',
+      );
+    });
+
+    it('keeps empty elements only within the given parents', () => {
+      assert.equal(
+        run('<table><tbody><tr><td></td><td>a</td></tr></tbody></table><p></p><b></b>', {
+          ...allow,
+          remove_empty: true,
+          allowed_empty_tags: { TR: ['TD'], '.*': ['B'] },
+        }),
+        '<table><tbody><tr><td></td><td>a</td></tr></tbody></table><b></b>',
+      );
+    });
+
+    it('rejects invalid settings', () => {
+      assert.deepEqual(
+        validateOptions({ remove_empty: { whitespace: 1, brs: true }, allowed_empty_tags: 3 }),
+        [
+          { path: 'remove_empty.whitespace', message: 'Expected a boolean, got a number' },
+          { path: 'remove_empty.brs', message: "Unknown option 'brs'" },
+          {
+            path: 'allowed_empty_tags',
+            message: 'Expected an object (ParentChildSpec), got a number',
+          },
+        ],
+      );
+      assert.throws(() => createStreamSanitizer({ remove_empty: { br: true } }), /remove_empty/);
+    });
+  });
+
+  describe('async filters', () => {
+    const allow = { allow_tags_deep: { '.*': exact('P', 'EM', 'SPAN') } };
+    const delay = (value) => new Promise((resolve) => setTimeout(() => resolve(value), 1));
+
+    it('awaits the results of filters', async () => {
+      const html = await sanitizeHtmlAsync(doc, '<p><b>a</b><i>b</i><u>c</u><span>d</span></p>', {
+        ...allow,
+        filters_by_tag: {
+          B: [() => delay(null)],
+          I: [() => delay([doc.createTextNode('1'), doc.createTextNode('2')])],
+          U: [async (node) => {
+            const em = doc.createElement('em');
+            em.textContent = await delay(node.textContent.toUpperCase());
+            return em;
+          }],
+          SPAN: [async (node) => node],
+        },
+      }, false, nodePropertyMap);
+      assert.equal(html, '<p>12<em>C</em><span>d</span></p>');
+    });
+
+    it('keeps the infinite loop protection and skip_filters', async () => {
+      const replaceWithSpan = async () => {
+        const span = doc.createElement('span');
+        span.textContent = 'b';
+        return span;
+      };
+      await assert.rejects(
+        sanitizeHtmlAsync(doc, '<span>a</span>', { ...allow, filters_by_tag: { SPAN: [replaceWithSpan] } }),
+        /Prevented possible infinite loop/,
+      );
+
+      container.innerHTML = '<span>a</span><span>b</span>';
+      nodePropertyMap.set(container.firstChild, { skip_filters: true });
+      await sanitizeChildNodesAsync(doc, container, {
+        ...allow,
+        filters_by_tag: { SPAN: [async (node) => { node.textContent = 'c'; return node; }] },
+      }, nodePropertyMap);
+      assert.equal(container.innerHTML, '<span>a</span><span>c</span>');
+    });
+
+    it('runs the filters of siblings at the same time, up to a limit', async () => {
+      let running = 0;
+      let maxRunning = 0;
+      const html = await sanitizeHtmlAsync(doc, '<p>a</p><p>b</p><p>c</p><p>d</p><p>e</p>', {
+        ...allow,
+        filters_by_tag: {
+          P: [async (node) => {
+            running += 1;
+            maxRunning = Math.max(maxRunning, running);
+            await delay();
+            running -= 1;
+            node.textContent += '!';
+            return node;
+          }],
+        },
+        filter_concurrency: 2,
+      });
+      assert.equal(html, '<p>a!</p><p>b!</p><p>c!</p><p>d!</p><p>e!</p>');
+      assert.equal(maxRunning, 2);
+    });
+
+    it('sanitizes like the synchronous functions, in the same order', async () => {
+      const html = '<div><p><b>a</b></p><i><b>b</b>c</i><p><b></b></p></div>';
+      const opts = (filter) => ({
+        allow_tags_deep: { '.*': exact('DIV', 'P') },
+        remove_empty: true,
+        filters_by_tag: { B: [filter] },
+      });
+      const syncCalls = [];
+      const asyncCalls = [];
+      const expected = run(html, opts((node) => {
+        syncCalls.push(node.textContent);
+        return node;
+      }));
+      assert.equal(expected, '<div><p>a</p>bc</div>');
+      assert.equal(await sanitizeHtmlAsync(doc, html, opts((node) => {
+        asyncCalls.push(node.textContent);
+        return delay(node);
+      })), expected);
+      assert.deepEqual(asyncCalls, syncCalls);
+    });
+
+    it('is not supported by the synchronous functions', () => {
+      assert.throws(
+        () => run('<p>a</p>', { ...allow, filters_by_tag: { P: [async (node) => node] } }),
+        /sanitizeHtmlAsync/,
+      );
+
+      // The rejection of the Promise is handled, since nothing else waits for it.
+      let handled = false;
+      const rejected = {
+        then(onFulfilled, onRejected) {
+          handled = typeof onRejected === 'function';
+        },
+      };
+      assert.throws(
+        () => run('<p>a</p>', { ...allow, filters_by_tag: { P: [() => rejected] } }),
+        /sanitizeHtmlAsync/,
+      );
+      assert(handled);
+    });
+
+    it('is available with fixed options and standalone', async () => {
+      const opts = { ...allow, filters_by_tag: { SPAN: [() => delay(null)] } };
+      assert.equal(await createSanitizer(opts).sanitizeHtmlAsync(doc, '<p>a<span>b</span></p>'), '<p>a</p>');
+      assert.equal(await standalone.sanitizeHtmlAsync('<p>a<span>b</span></p>', opts), '<p>a</p>');
+      assert.deepEqual(validateOptions({ filter_concurrency: 0 }), [
+        { path: 'filter_concurrency', message: 'Expected a positive integer, got 0' },
+      ]);
+    });
+  });
+
+  describe('filter context', () => {
+    const allow = { allow_tags_deep: { '.*': exact('DIV', 'P', 'B', 'EM', 'SPAN') } };
+
+    it('describes the position of the node and gives access to the document and options', () => {
+      let context;
+      run('<div><p>a <b>b</b></p></div>', {
+        ...allow,
+        filters_by_tag: {
+          B: [(node, ctx) => {
+            context = ctx;
+            return node;
+          }],
+        },
+      });
+      assert.equal(context.doc, doc);
+      assert.equal(context.nodePropertyMap, nodePropertyMap);
+      assert.ok(context.options.allow_tags_deep instanceof Map);
+      assert.equal(context.depth, 3);
+      assert.equal(context.path, 'BODY > DIV:nth-child(1) > P:nth-child(1) > B:nth-child(1)');
+    });
+
+    it('has helpers to remove, flatten, skip and rename nodes', () => {
+      const report = [];
+      assert.equal(
+        run('<p><span>a<span>b</span></span><u>c</u><i>d</i></p><nav class="x"><u>e</u></nav>', {
+          ...allow,
+          filters_by_tag: {
+            '^SPAN$': [(node, { flatten }) => flatten(node)],
+            '^U$': [(node, { remove }) => remove(node)],
+            '^I$': [(node, { rename }) => rename(node, 'em')],
+            '^NAV$': [(node, { skip }) => skip(node)],
+          },
+          report,
+        }),
+        '<p>ab<em>d</em></p><nav class="x"><u>e</u></nav>',
+      );
+      assert.deepEqual(report.map(({ action, tagname }) => [action, tagname]), [
+        ['replace', 'SPAN'],
+        ['replace', 'SPAN'],
+        ['remove', 'U'],
+        ['replace', 'I'],
+      ]);
+    });
+
+    it('has helpers which can be used on descendants', () => {
+      assert.equal(
+        run('<div><p>a</p><b>b</b><span>c</span></div>', {
+          ...allow,
+          filters_by_tag: {
+            DIV: [(node, { remove, rename }) => {
+              const [p, b] = node.getElementsByTagName('*');
+              remove(p);
+              rename(b, 'em');
+              return node;
+            }],
+          },
+        }),
+        '<div><em>b</em><span>c</span></div>',
+      );
+    });
+  });
+
+  describe('exit_filters_by_tag', () => {
+    const allow = {
+      allow_tags_deep: { '.*': exact('B', 'LI', 'P', 'TABLE', 'TBODY', 'TD', 'TR', 'UL') },
+    };
+
+    it('sees the sanitized child nodes', () => {
+      assert.equal(
+        run('<table><tbody><tr class="ad"><td>a</td></tr></tbody></table>'
+          + '<table><tbody><tr><td>b</td></tr></tbody></table>', {
+          ...allow,
+          remove_tags_deep: { '.*': selector('tr.ad') },
+          exit_filters_by_tag: {
+            '^TABLE$': [(node, { remove }) => (
+              node.getElementsByTagName('tr').length ? node : remove(node)
+            )],
+          },
+        }),
+        '<table><tbody><tr><td>b</td></tr></tbody></table>',
+      );
+    });
+
+    it('replaces nodes without sanitizing the new nodes', async () => {
+      const report = [];
+      const opts = {
+        ...allow,
+        filters_by_tag: { '^P$': [() => null] },
+        exit_filters_by_tag: {
+          '^UL$': [async (node, { doc: document }) => {
+            if (node.childNodes.length > 1) return node;
+            const p = document.createElement('p');
+            Array.from(node.firstChild.childNodes).forEach((child) => p.appendChild(child));
+            return p;
+          }],
+        },
+        report,
+      };
+      assert.equal(
+        await sanitizeHtmlAsync(doc, '<ul><li>a <b>b</b></li></ul><ul><li>c</li><li>d</li></ul>', opts),
+        '<p>a <b>b</b></p><ul><li>c</li><li>d</li></ul>',
+      );
+      assert.deepEqual(
+        report.map(({ action, tagname, option }) => [action, tagname, option]),
+        [['replace', 'UL', 'exit_filters_by_tag']],
+      );
+      assert.throws(
+        () => createStreamSanitizer({ exit_filters_by_tag: opts.exit_filters_by_tag }),
+        /exit_filters_by_tag/,
+      );
+    });
+  });
+
+  describe('comments', () => {
+    const html = '<p>a<!-- x --><b>b<!--[if IE]>c<![endif]--></b></p><?xml d?>';
+    const allow = { allow_tags_deep: { '.*': '^(P|B)$' } };
+
+    it('removes comments by default', () => {
+      const report = [];
+      assert.equal(run(html, { ...allow, report }), '<p>a<b>b</b></p>');
+      assert.deepEqual(
+        report.map(({ action, path, option }) => [action, path, option]),
+        [
+          ['remove', 'BODY > P:nth-child(1) > COMMENT', 'keep_comments'],
+          ['remove', 'BODY > P:nth-child(1) > B:nth-child(1) > COMMENT', 'keep_comments'],
+          ['remove', 'BODY > COMMENT', 'keep_comments'],
+        ],
+      );
+    });
+
+    it('keeps comments with keep_comments', () => {
+      assert.equal(
+        run(html, { ...allow, keep_comments: true }),
+        '<p>a<!-- x --><b>b<!--[if IE]>c<![endif]--></b></p><!--?xml d?-->',
+      );
+    });
+
+    it('matches comments as COMMENT in allow_tags_* and remove_tags_*', () => {
+      assert.equal(
+        run(html, { allow_tags_deep: { '.*': '^(P|B)$', '^B$': '^COMMENT$' } }),
+        '<p>a<b>b<!--[if IE]>c<![endif]--></b></p>',
+      );
+      assert.equal(
+        run(html, { ...allow, keep_comments: true, remove_tags_direct: { '^P$': '^COMMENT$' } }),
+        '<p>a<b>b<!--[if IE]>c<![endif]--></b></p><!--?xml d?-->',
+      );
+      assert.equal(
+        run(html, { ...allow, keep_comments: true, flatten_tags_deep: { '.*': '^COMMENT$' } }),
+        '<p>a<b>b</b></p>',
+      );
+    });
+
+    it('calls the filters of COMMENT', () => {
+      assert.equal(
+        run(html, {
+          ...allow,
+          keep_comments: true,
+          filters_by_tag: { '^COMMENT$': [(node) => (/^\[if /.test(node.data) ? null : node)] },
+        }),
+        '<p>a<!-- x --><b>b</b></p><!--?xml d?-->',
+      );
+    });
+
+    it('keeps comments with allow_tags_deep for any tag', () => {
+      assert.equal(
+        run('<p class="a">a<!-- x --></p>', { allow_tags_deep: { '.*': '.*' } }),
+        '<p>a<!-- x --></p>',
+      );
+    });
+
+    it('removes comments which would end early', () => {
+      assert.equal(
+        run('<p>a<!-- x --!><b>b</b> --></p>', { ...allow, keep_comments: true }),
+        '<p>a<!-- x --><b>b</b> --&gt;</p>',
+      );
+
+      const div = doc.createElement('div');
+      div.appendChild(doc.createComment('--><img src="x" onerror="alert(1)">'));
+      div.appendChild(doc.createComment('>'));
+      if (typeof doc.createProcessingInstruction === 'function') {
+        div.appendChild(doc.createProcessingInstruction('x', '><img>'));
+      }
+      sanitizeNode(doc, div, { allow_tags_deep: { '.*': '.*' } });
+      assert.equal(div.childNodes.length, 0);
+    });
+
+    it('keeps the same comments in the stream sanitizer', () => {
+      const opts = { ...allow, keep_comments: true, remove_tags_direct: { '^P$': '^COMMENT$' } };
+      const sanitizer = createStreamSanitizer(opts);
+      assert.equal(sanitizer.write(html) + sanitizer.end(), run(html, opts));
+    });
+
+    it('validates keep_comments', () => {
+      assert.deepEqual(validateOptions({ keep_comments: 'yes' }), [
+        { path: 'keep_comments', message: 'Expected a boolean, got a string' },
+      ]);
+    });
+  });
+
+  describe('text filters', () => {
+    const opts = (...textFilters) => ({
+      filters_by_tag: { TEXT: textFilters },
+      allow_tags_deep: { '.*': exact('P', 'A', 'B', 'CODE', 'PRE', 'IMG', 'MARK') },
+      allow_attributes_by_tag: { A: ['href', 'rel'], IMG: ['src', 'alt'] },
+    });
+
+    it('links URLs and email addresses', () => {
+      assert.equal(
+        run('<p>See www.example.com/a_(b). Or (https://x.example/?a=1&amp;b=2), ann@x.example!</p>',
+          opts(filters.autolink({ attributes: { rel: 'nofollow' } }))),
+        '<p>See <a href="http://www.example.com/a_(b)" rel="nofollow">www.example.com/a_(b)</a>. '
+        + 'Or (<a href="https://x.example/?a=1&amp;b=2" rel="nofollow">https://x.example/?a=1&amp;b=2</a>), '
+        + '<a href="mailto:ann@x.example" rel="nofollow">ann@x.example</a>!</p>',
+      );
+      assert.equal(
+        run('<p>ann@x.example www.example.com</p>', opts(filters.autolink({ emails: false }))),
+        '<p>ann@x.example <a href="http://www.example.com">www.example.com</a></p>',
+      );
+    });
+
+    it('leaves text within A, CODE and PRE alone', () => {
+      const html = '<p><a href="https://x.example">see https://y.example</a> <code>@ann</code> '
+        + '<b>:smile: #news</b></p><pre>www.example.com</pre>';
+      const textFilters = [
+        filters.autolink(),
+        filters.mentions({ href: (name) => `/users/${name}` }),
+        filters.hashtags({ href: (tag) => `/tags/${tag}` }),
+        filters.emoji({ shortcodes: { smile: '😄' } }),
+      ];
+      assert.equal(
+        run(html, opts(...textFilters)),
+        '<p><a href="https://x.example">see https://y.example</a> <code>@ann</code> '
+        + '<b>😄 <a href="/tags/news">#news</a></b></p><pre>www.example.com</pre>',
+      );
+      assert.equal(
+        run('<p><b>:smile:</b> :smile:</p>', opts(filters.emoji({
+          shortcodes: { smile: '😄' },
+          skip_parents: exact('B'),
+        }))),
+        '<p><b>:smile:</b> 😄</p>',
+      );
+    });
+
+    it('links mentions and hashtags with a callback', () => {
+      assert.equal(
+        run('<p>@ann, @bob and ann@x.example: #news #été #1 C#</p>', opts(
+          filters.mentions({ href: (name) => (name === 'ann' ? '/users/ann' : null) }),
+          filters.hashtags({ href: (tag, { parentNodenames }) => `/tags/${tag}?in=${parentNodenames[0]}` }),
+        )),
+        '<p><a href="/users/ann">@ann</a>, @bob and ann@x.example: '
+        + '<a href="/tags/news?in=P">#news</a> <a href="/tags/été?in=P">#été</a> #1 C#</p>',
+      );
+      assert.throws(() => filters.mentions({}), /href/);
+      assert.throws(() => filters.emoji(), /shortcodes/);
+    });
+
+    it('replaces emoji shortcodes with text or nodes', () => {
+      const img = (name) => {
+        if (name !== 'party') return null;
+        const node = doc.createElement('img');
+        node.setAttribute('src', 'https://x.example/party.png');
+        node.setAttribute('alt', ':party:');
+        return node;
+      };
+      assert.equal(
+        run('<p>:party: :smile::x:</p>', opts(
+          filters.emoji({ shortcodes: { smile: '😄' } }),
+          filters.emoji({ shortcodes: img }),
+        )),
+        '<p><img src="https://x.example/party.png" alt=":party:"> 😄:x:</p>',
+      );
+    });
+
+    it('does not filter the text of new nodes again when they are not allowed', () => {
+      const onlyP = { allow_tags_deep: { '.*': exact('P') } };
+      const span = (name, { doc: document }) => {
+        const node = document.createElement('span');
+        node.textContent = `:${name}:`;
+        return node;
+      };
+      const textFilters = [
+        filters.autolink(),
+        filters.mentions({ href: (name) => `/users/${name}` }),
+        filters.hashtags({ href: (tag) => `/tags/${tag}` }),
+        filters.emoji({ shortcodes: span }),
+      ];
+      const html = '<p>see www.example.com @ann #news :smile:</p>';
+      textFilters.forEach((filter) => {
+        assert.equal(run(html, { ...onlyP, filters_by_tag: { TEXT: [filter] } }), html);
+      });
+      assert.equal(run(html, { ...onlyP, filters_by_tag: { TEXT: textFilters } }), html);
+    });
+
+    it('resolves Promises of the callbacks with the async functions', async () => {
+      const mentions = filters.mentions({ href: async (name) => `/users/${name}` });
+      assert.equal(
+        await sanitizeHtmlAsync(doc, '<p>@ann and @bob</p>', opts(mentions)),
+        '<p><a href="/users/ann">@ann</a> and <a href="/users/bob">@bob</a></p>',
+      );
+      assert.throws(() => run('<p>@ann</p>', opts(mentions)), /Promise/);
+    });
+
+    it('splits text nodes with splitTextNode', () => {
+      const mark = (node, context) => filters.splitTextNode(node, /TODO/, ([text]) => {
+        const element = context.doc.createElement('mark');
+        element.textContent = text;
+        return element;
+      }, context);
+      assert.equal(
+        run('<p>TODO: fix www.example.com TODO</p>', opts(mark, filters.autolink())),
+        '<p><mark>TODO</mark>: fix <a href="http://www.example.com">www.example.com</a> '
+        + '<mark>TODO</mark></p>',
+      );
+
+      const text = doc.createTextNode('a-b-c');
+      assert.equal(filters.splitTextNode(text, /-/g, () => '+'), text);
+      assert.equal(text.data, 'a+b+c');
+      assert.equal(filters.splitTextNode(text, /x/, () => '+'), text);
+    });
+  });
+
+  describe('mergeOptions', () => {
+    it('concatenates the values of the same spec property', () => {
+      assert.deepEqual(
+        mergeOptions(
+          { allow_tags_deep: { '.*': ['^P$'], P: 'B' } },
+          { allow_tags_deep: { '.*': '^I$' } },
+          { allow_tags_deep: { '.*': ['^P$', '^U$'], I: ['B'] } },
+        ),
+        { allow_tags_deep: { '.*': ['^P$', '^I$', '^U$'], P: 'B', I: ['B'] } },
+      );
+    });
+
+    it('keeps exact and selector rules', () => {
+      const p = exact('P');
+      const note = selector('div.note');
+      const merged = mergeOptions(presets.safe, { allow_tags_deep: { '.*': p } });
+      assert.equal(merged.allow_tags_deep['.*'], p);
+      assert.equal(run('<p>a</p><b>b</b>', merged), '<p>a</p>b');
+
+      const withSelector = mergeOptions(merged, { allow_tags_deep: { '.*': [note] } });
+      assert.deepEqual(withSelector.allow_tags_deep['.*'], [p, note]);
+      assert.equal(
+        run('<p>a</p><div class="note">b</div><div>c</div>', withSelector),
+        '<p>a</p><div>b</div>c',
+      );
+    });
+
+    it('merges nested specs, concatenates arrays and replaces other values', () => {
+      const filter = () => null;
+      assert.deepEqual(
+        mergeOptions(
+          {
+            allow_attribute_values_by_tag: { A: { href: '^https:' } },
+            filters_by_tag: { B: [filter] },
+            join_siblings: ['B'],
+            remove_empty: false,
+            url_base: 'https://a.example/',
+          },
+          {
+            allow_attribute_values_by_tag: { A: { href: '^mailto:', title: '.*' } },
+            filters_by_tag: { B: [filter], I: [filter] },
+            join_siblings: ['I'],
+            remove_empty: true,
+            url_base: 'https://b.example/',
+          },
+        ),
+        {
+          allow_attribute_values_by_tag: { A: { href: ['^https:', '^mailto:'], title: '.*' } },
+          filters_by_tag: { B: [filter], I: [filter] },
+          join_siblings: ['B', 'I'],
+          remove_empty: true,
+          url_base: 'https://b.example/',
+        },
+      );
+    });
+
+    it('merges the settings of remove_empty and normalize', () => {
+      assert.deepEqual(
+        mergeOptions(
+          { remove_empty: { whitespace: true }, normalize: { merge_text: true } },
+          { remove_empty: { br: true }, normalize: { merge_text: false } },
+        ),
+        { remove_empty: { whitespace: true, br: true }, normalize: { merge_text: false } },
+      );
+    });
+
+    it('does not modify its arguments', () => {
+      const base = { allow_tags_deep: { '.*': ['^P$'] } };
+      const override = { allow_tags_deep: { '.*': ['^B$'] } };
+      mergeOptions(base, override);
+      assert.deepEqual(base, { allow_tags_deep: { '.*': ['^P$'] } });
+      assert.deepEqual(override, { allow_tags_deep: { '.*': ['^B$'] } });
+    });
+
+    it('extends frozen presets', () => {
+      const opts = mergeOptions(presets.basicFormatting, { allow_tags_deep: { '.*': '^CODE$' } });
+      assert.equal(
+        run('<p><b>abc</b> <code>def</code> <span>ghi</span><script>x</script></p>', opts),
+        '<p><b>abc</b> <code>def</code> ghi</p>',
+      );
+    });
+  });
+
+  describe('presets', () => {
+    it('basicFormatting keeps basic formatting without attributes', () => {
+      assert.equal(
+        run('<h1>abc</h1><p class="a">def <b>ghi</b> <a href="https://x.y/">jkl</a></p>', presets.basicFormatting),
+        'abc<p>def <b>ghi</b> jkl</p>',
+      );
+    });
+
+    it('richText keeps links, images and tables with numeric attributes', () => {
+      assert.equal(
+        run('<h2>abc</h2><a href="https://x.y/" target="_blank">def</a><img src="i.png" width="10" height="x"><table><tbody><tr><td colspan="2" bgcolor="red">ghi</td></tr></tbody></table>', presets.richText),
+        '<h2>abc</h2><a href="https://x.y/">def</a><img src="i.png" width="10"><table><tbody><tr><td colspan="2">ghi</td></tr></tbody></table>',
+      );
+    });
+
+    it('email keeps legacy layout attributes and only https images', () => {
+      assert.equal(
+        run('<center><font color="red">abc</font></center><table width="50%" cellpadding="2" bgcolor="#fff"><tbody><tr><td align="center">def</td></tr></tbody></table><img src="http://x.y/i.png"><img src="https://x.y/i.png" srcset="https://x.y/j.png 2x">', presets.email),
+        '<center><font color="red">abc</font></center><table width="50%" cellpadding="2" bgcolor="#fff"><tbody><tr><td align="center">def</td></tr></tbody></table><img><img src="https://x.y/i.png">',
+      );
+    });
+
+    it('comments keeps absolute links and removes empty nodes', () => {
+      assert.equal(
+        run('<p><b></b>abc <a href="/relative">def</a> <a href="https://x.y/">ghi</a></p><h1>jkl</h1>', presets.comments),
+        '<p>abc <a>def</a> <a href="https://x.y/">ghi</a></p>jkl',
+      );
+    });
+  });
+
   describe('allow_classes_by_tag', () => {
     it('keeps all classes', () => {
       assert.equal(
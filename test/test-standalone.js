@@ -0,0 +1,8 @@
+import { createDocument } from '../src/standalone.js';
+import runTests from './run-tests.js';
+
+const doc = createDocument();
+
+describe('standalone DOM', () => {
+  runTests(doc, doc.body);
+});